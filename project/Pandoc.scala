@@ -3,9 +3,14 @@ sealed abstract class PandocTarget extends Product with Serializable
 object PandocTarget {
   case object Tex extends PandocTarget
   case object Pdf extends PandocTarget
+  case object PrintPdf extends PandocTarget
   case object Html extends PandocTarget
+  case object HtmlChunks extends PandocTarget
   case object Epub extends PandocTarget
   case object Json extends PandocTarget
+  case object Manifest extends PandocTarget
+  case object Worksheets extends PandocTarget
+  case object Validate extends PandocTarget
 }
 
 object Pandoc {
@@ -29,51 +34,45 @@ object Pandoc {
     val output = target match {
       case Tex  => s"--output=${distDir}/${filenameStem}.tex"
       case Pdf  => s"--output=${distDir}/${filenameStem}.pdf"
+      case PrintPdf => s"--output=${distDir}/${filenameStem}-print.pdf"
       case Html => s"--output=${distDir}/${filenameStem}.html"
       case Epub => s"--output=${distDir}/${filenameStem}.epub"
       case Json => s"--output=${distDir}/${filenameStem}.json"
+      // The solutions filter writes the manifest; we discard the AST:
+      case Manifest => s"--to=json --output=/dev/null"
+      // The worksheets filter writes the worksheets; we discard the AST:
+      case Worksheets => s"--to=json --output=/dev/null"
+      // The chunks filter writes one document per page; we discard the rest:
+      case HtmlChunks => s"--to=html5 --output=/dev/null"
+      // The validation filter reports problems; we discard the AST:
+      case Validate => s"--to=json --output=/dev/null"
     }
 
     val template = target match {
-      case Pdf | Tex => Some(s"--template=${srcDir}/templates/template.tex")
+      case Pdf | PrintPdf | Tex =>
+        Some(s"--template=${srcDir}/templates/template.tex")
       case Html      => Some(s"--template=${srcDir}/templates/template.html")
       case Epub => Some(s"--template=${srcDir}/templates/template.epub.html")
-      case Json => None
+      case Json | Manifest | Worksheets | HtmlChunks | Validate => None
     }
 
+    // All of our own filters run in a single process.
+    // The pipeline picks the filters for each target
+    // based on the output format pandoc passes it,
+    // or the "pipeline" metadata. The worksheets only need the code,
+    // so they skip pandoc-crossref too:
     val filters = target match {
-      case Pdf | Tex | Json =>
+      case Worksheets =>
+        List(s"--filter=${srcDir}/filters/pipeline.js")
+      case _ =>
         List(
           s"--filter=pandoc-crossref",
-          s"--filter=${srcDir}/filters/pdf/unwrap-code.js",
-          // s"--filter=${srcDir}/filters/pdf/merge-code.js",
-          s"--filter=${srcDir}/filters/pdf/callout.js",
-          s"--filter=${srcDir}/filters/pdf/columns.js",
-          s"--filter=${srcDir}/filters/pdf/solutions.js",
-          s"--lua-filter=${srcDir}/filters/pdf/vector-images.lua",
-          s"--filter=${srcDir}/filters/pdf/listings.js"
-        )
-      case Html =>
-        List(
-          s"--filter=pandoc-crossref",
-          s"--filter=${srcDir}/filters/html/unwrap-code.js",
-          // s"--filter=${srcDir}/filters/html/merge-code.js",
-          s"--filter=${srcDir}/filters/html/tables.js",
-          s"--filter=${srcDir}/filters/html/solutions.js",
-          s"--lua-filter=${srcDir}/filters/html/vector-images.lua"
-        )
-      case Epub =>
-        List(
-          s"--filter=pandoc-crossref",
-          s"--filter=${srcDir}/filters/epub/unwrap-code.js",
-          // s"--filter=${srcDir}/filters/epub/merge-code.js",
-          s"--filter=${srcDir}/filters/epub/solutions.js",
-          s"--lua-filter=${srcDir}/filters/epub/vector-images.lua"
+          s"--filter=${srcDir}/filters/pipeline.js"
         )
     }
 
     val extras = target match {
-      case Pdf | Tex =>
+      case Pdf | PrintPdf | Tex =>
         List(
           s"--toc-depth=${tocDepth}",
           s"--listings",
@@ -92,18 +91,48 @@ object Pandoc {
           s"--epub-cover-image=${srcDir}/covers/epub-cover.png",
           s"--include-before-body=${srcDir}/templates/cover-notes.html"
         )
-      case Json =>
+      case Json | Manifest | Worksheets | HtmlChunks | Validate =>
         Nil
     }
 
     val metadata = target match {
       case Pdf | Tex =>
         List(s"${srcDir}/meta/metadata.yaml", s"${srcDir}/meta/pdf.yaml")
+      // One switch turns on print mode in the template and the filters:
+      case PrintPdf =>
+        List(
+          s"--metadata=blackandwhiteprintable:true",
+          s"${srcDir}/meta/metadata.yaml",
+          s"${srcDir}/meta/pdf.yaml"
+        )
       case Html =>
         List(s"${srcDir}/meta/metadata.yaml", s"${srcDir}/meta/html.yaml")
       case Epub =>
         List(s"${srcDir}/meta/metadata.yaml", s"${srcDir}/meta/epub.yaml")
       case Json => List(s"${srcDir}/meta/metadata.yaml")
+      case Manifest =>
+        List(
+          s"--metadata=exerciseManifest:${distDir}/${filenameStem}-exercises.json",
+          s"${srcDir}/meta/metadata.yaml"
+        )
+      case Worksheets =>
+        List(
+          s"--metadata=worksheetsDir:${distDir}/worksheets",
+          s"--metadata=pipeline:worksheets",
+          s"${srcDir}/meta/metadata.yaml"
+        )
+      case Validate =>
+        List(
+          s"--metadata=strictValidation:true",
+          s"--metadata=pipeline:validate",
+          s"${srcDir}/meta/metadata.yaml"
+        )
+      case HtmlChunks =>
+        List(
+          s"--metadata=chunksDir:${distDir}/html",
+          s"${srcDir}/meta/metadata.yaml",
+          s"${srcDir}/meta/html.yaml"
+        )
     }
 
     val options =
@@ -131,6 +160,29 @@ object Pandoc {
     options.mkString(" ")
   }
 
+  /** Create the command-line options to render one page of the chunked HTML
+    * site. The pages are already filtered, and their defaults files (written
+    * by `src/filters/html/chunks.js`) set the input, output, and section
+    * numbering.
+    */
+  def chunkCommandLineOptions(
+      defaultsFile: String,
+      srcDir: String = "src",
+      tocDepth: Int = 2
+  ): String = {
+    List(
+      s"--defaults=${defaultsFile}",
+      s"--template=${srcDir}/templates/template.html",
+      s"--variable=lib-dir:${srcDir}",
+      "--number-sections",
+      "--table-of-contents",
+      s"--toc-depth=${tocDepth}",
+      "--highlight-style tango",
+      "--standalone",
+      "--embed-resources"
+    ).mkString(" ")
+  }
+
   def commandLine(
       pages: List[String],
       target: PandocTarget,
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const metadata = require("./metadata");
+
+/*
+Links inline code that names a known Cats or Scala symbol
+to the symbol's scaladoc. For example:
+
+    `Functor`, `Monad[Option]`, `cats.data.Kleisli`, `.traverse`
+
+become links to the pages for Functor, Monad, Kleisli, and Traverse.
+We link the first mention of each symbol in each section
+(level 1 and 2 headings), so paragraphs don't fill up with links.
+We never link code in headings or code that's already inside a link.
+
+The symbol table is a JSON object mapping symbols to URLs,
+read from the file named in the "apiLinks" metadata.
+Symbols in the metadata itself add to or override the file:
+
+apiLinks:
+  file: "src/meta/api-links.json"
+  symbols:
+    Foo: "https://example.com/Foo.html"
+
+Print books don't get links at all.
+*/
+
+// string -> string
+//
+// The symbol to look up for some inline code:
+// "Monad[Option]" becomes "Monad" and ".traverse" becomes "traverse":
+function symbolOf(code) {
+  return code.trim().replace(/^\./, "").replace(/\[.*\]$/, "");
+}
+
+// object -> object
+//
+// The symbol table from metadata and the file it names:
+function symbolTable(meta) {
+  const file = metadata.getString(meta, ["apiLinks", "file"]);
+  const fromFile = file == null ? {} : JSON.parse(fs.readFileSync(file));
+
+  const symbols = metadata.getMap(meta, ["apiLinks", "symbols"], {});
+  const fromMeta = {};
+
+  for (const name of Object.keys(symbols)) {
+    fromMeta[name] = metadata.getString(symbols, [name]);
+  }
+
+  return Object.assign({}, fromFile, fromMeta);
+}
+
+// any object setOf(string) -> any
+//
+// Walk the document in order, linking code as we go.
+// We can't use pandoc.walk because it always descends into
+// the nodes we want to skip (headings and links):
+function linkCode(x, symbols, linked) {
+  if (Array.isArray(x)) {
+    return x.map((item) => linkCode(item, symbols, linked));
+  } else if (x == null || typeof x !== "object") {
+    return x;
+  }
+
+  switch (x.t) {
+    case "Header":
+      // Link each symbol once per section:
+      if (x.c[0] <= 2) {
+        linked.clear();
+      }
+
+      return x;
+
+    case "Link":
+      return x;
+
+    case "Code": {
+      const symbol = symbolOf(x.c[1]);
+      if (!_.has(symbols, symbol) || linked.has(symbol)) {
+        return x;
+      }
+
+      linked.add(symbol);
+      return pandoc.Link(["", ["api-link"], []], [x], [symbols[symbol], ""]);
+    }
+
+    default: {
+      const ans = {};
+
+      for (const key of Object.keys(x)) {
+        ans[key] = linkCode(x[key], symbols, linked);
+      }
+
+      return ans;
+    }
+  }
+}
+
+function createFilter() {
+  return {
+    document: (doc, format, meta) => {
+      // Don't generate links in print books:
+      if (metadata.getBool(meta, ["blackandwhiteprintable"], false)) {
+        return doc;
+      }
+
+      return Object.assign({}, doc, {
+        blocks: linkCode(doc.blocks, symbolTable(meta), new Set()),
+      });
+    },
+  };
+}
+
+module.exports = {
+  symbolOf,
+  createFilter,
+};
@@ -0,0 +1,274 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const messages = require("./messages");
+const metadata = require("./metadata");
+
+/*
+Builds a back-of-book index from two kinds of markup:
+
+- index terms in the text:
+
+      A [type class]{.index} is an interface...
+      Some [type classes]{.index term="type class"} are...
+
+- glossary entries, written as a definition list in a glossary div:
+
+      <div class="glossary">
+      Kleisli
+      : A function of type `A => F[B]`.
+      </div>
+
+For the PDF we mark each mention with `\index{term}`
+and LaTeX (imakeidx in template.tex) does the rest.
+
+For HTML and ePub we give each mention an anchor,
+remember it along with the heading it's under,
+and render the index at the placeholder:
+
+    <div class="book-index"></div>
+
+The placeholder is at the end of the book,
+so we've seen every term by the time we get there.
+This is the same accumulate-then-emit approach
+solutions.js uses for the solutions appendix.
+*/
+
+// String helpers --------------------------------
+
+// string -> string
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// string -> string
+//
+// A term as an argument to \index{}.
+// makeindex gives !, @, |, and " special meanings, so we quote them with ",
+// then escape any characters that are special to LaTeX:
+function latexIndexEntry(term) {
+  return term
+    .replace(/(["!@|])/g, '"$1')
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([#$%&_{}])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+}
+
+// string or(string, undefined) string -> string
+//
+// Terms are grouped under their first letter in any alphabet,
+// or under the symbols heading:
+function groupOf(term, lang, symbols) {
+  const first = Array.from(term)[0].toLocaleUpperCase(lang);
+  return /\p{L}/u.test(first) ? first : symbols;
+}
+
+// Node helpers ----------------------------------
+
+function indexCommand(term) {
+  return pandoc.RawInline("latex", `\\index{${latexIndexEntry(term)}}`);
+}
+
+function indexHeading(text, level) {
+  return pandoc.Header(
+    level,
+    ["book-index", ["unnumbered"], []],
+    [pandoc.Str(text)]
+  );
+}
+
+// string arrayOf(Mention) -> arrayOf(node)
+//
+// We link to the first mention of a term under each heading:
+function termItem(term, mentions) {
+  const links = _.uniq(mentions, false, (mention) => mention.heading).map(
+    (mention) =>
+      pandoc.Link(["", [], []], [pandoc.Str(mention.heading)], [
+        "#" + mention.anchor,
+        "",
+      ])
+  );
+
+  return [
+    pandoc.Plain([
+      pandoc.Str(term),
+      pandoc.Str(":"),
+      pandoc.Space(),
+      ...links.flatMap((link, i) =>
+        i === 0 ? [link] : [pandoc.Str(","), pandoc.Space(), link]
+      ),
+    ]),
+  ];
+}
+
+// object meta -> arrayOf(node)
+//
+// The terms are sorted in the order of the book's language:
+function indexBody(mentionsByTerm, meta) {
+  const lang = metadata.getString(meta, ["lang"]);
+  const symbols = messages.forMeta(meta)("symbols");
+
+  const terms = Object.keys(mentionsByTerm).sort((a, b) =>
+    a.localeCompare(b, lang, { sensitivity: "base" })
+  );
+
+  const groups = _.groupBy(terms, (term) => groupOf(term, lang, symbols));
+
+  return Object.keys(groups).map((group) =>
+    pandoc.Div(
+      ["", ["book-index-group"], []],
+      [
+        pandoc.Para([pandoc.Strong([pandoc.Str(group)])]),
+        pandoc.BulletList(
+          groups[group].map((term) => termItem(term, mentionsByTerm[term]))
+        ),
+      ]
+    )
+  );
+}
+
+// Data types ------------------------------------
+
+class Mention {
+  constructor(term, anchor, heading) {
+    this.term = term;
+    this.anchor = anchor;
+    this.heading = heading;
+  }
+}
+
+// string -> filter
+//
+// The target is "pdf", "html", or "epub".
+// HTML and ePub both get a generated index:
+function createFilter(target) {
+  const useLatex = target === "pdf";
+
+  // objectOf(arrayOf(Mention))
+  //
+  // Every mention of every term, keyed by term, in document order:
+  const mentionsByTerm = {};
+
+  // string
+  //
+  // The title of the last heading we passed,
+  // which we use to label links in the index:
+  let headingAccum = "";
+
+  // string string -> string
+  //
+  // Record a mention of a term and return its anchor:
+  function mention(term, ident) {
+    const mentions = mentionsByTerm[term] || (mentionsByTerm[term] = []);
+    const anchor =
+      ident !== "" ? ident : `index:${slugify(term)}:${mentions.length + 1}`;
+
+    mentions.push(new Mention(term, anchor, headingAccum));
+    return anchor;
+  }
+
+  // arrayOf(node) -> arrayOf(node)
+  //
+  // Index the terms in a glossary's definition lists:
+  function glossaryBody(body) {
+    return body.map((block) => {
+      if (block.t !== "DefinitionList") {
+        return block;
+      }
+
+      return pandoc.DefinitionList(
+        block.c.map(([termBody, definitions]) => {
+          const term = pandoc.stringify(termBody);
+          const anchor = mention(term, `glossary:${slugify(term)}`);
+
+          if (useLatex) {
+            return [[...termBody, indexCommand(term)], definitions];
+          }
+
+          return [
+            [pandoc.Span([anchor, ["glossary-term"], []], termBody)],
+            definitions,
+          ];
+        })
+      );
+    });
+  }
+
+  return function ({t: type, c: value}, format, meta) {
+    switch (type) {
+      case "Header": {
+        const [level, attr, body] = value;
+        headingAccum = pandoc.stringify(body);
+        return; // don't rewrite the document here
+      }
+
+      case "Span": {
+        const [[ident, classes, kvs], body] = value;
+
+        if (!classes.includes("index")) {
+          return;
+        }
+
+        const kv = kvs.find(([key, unused]) => key === "term");
+        const term = kv != null ? kv[1] : pandoc.stringify(body);
+
+        const anchor = mention(term, ident);
+
+        if (useLatex) {
+          return [pandoc.Span([ident, [], []], body), indexCommand(term)];
+        }
+
+        return pandoc.Span([anchor, ["index-term"], []], body);
+      }
+
+      case "Div": {
+        const [[ident, classes, kvs], body] = value;
+
+        switch (classes && classes[0]) {
+          case "glossary":
+            return pandoc.Div([ident, classes, kvs], glossaryBody(body));
+
+          case "book-index": {
+            // Render nothing if there are no terms:
+            if (Object.keys(mentionsByTerm).length === 0) {
+              return [];
+            }
+
+            // LaTeX collects the \index{} entries and renders the index:
+            if (useLatex) {
+              return pandoc.RawBlock("latex", "\\printindex");
+            }
+
+            const headingText = metadata.getString(
+              meta,
+              ["bookIndex", "headingText"],
+              messages.forMeta(meta)("index")
+            );
+            const headingLevel = metadata.getInt(
+              meta,
+              ["bookIndex", "headingLevel"],
+              1
+            );
+
+            return [
+              indexHeading(headingText, headingLevel),
+              pandoc.Div(
+                ["", ["book-index-entries"], []],
+                indexBody(mentionsByTerm, meta)
+              ),
+            ];
+          }
+        }
+
+        return;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFilter,
+};
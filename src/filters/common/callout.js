@@ -0,0 +1,111 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+
+/*
+Callouts are divs with a kind and an optional title:
+
+<div class="callout callout-warning" title="Here Be Dragons">
+...
+</div>
+
+The kind is one of callout-info, callout-warning, or callout-danger
+(defaulting to info). We also treat the older "aside" div as a callout,
+taking its title from its first heading if there's no title attribute.
+
+This module parses callouts. Each output format provides a renderer
+(see pdf/callout.js, html/callout.js, and epub/callout.js).
+*/
+
+// Data types ------------------------------------
+
+class Callout {
+  constructor(ident, kind, title, kvs, body) {
+    this.ident = ident; // string
+    this.kind = kind; // "info", "warning", "danger", or "aside"
+    this.title = title; // or(string, null)
+    this.kvs = kvs; // remaining attributes
+    this.body = body; // arrayOf(node)
+  }
+}
+
+// Parsing ---------------------------------------
+
+// string -> string
+function kindOf(className) {
+  switch (className) {
+    case "callout-danger":
+      return "danger";
+    case "callout-warning":
+      return "warning";
+    default:
+      return "info";
+  }
+}
+
+// arrayOf(node) -> string
+function textOf(inlines) {
+  return inlines
+    .map((inline) => {
+      switch (inline.t) {
+        case "Str":
+          return inline.c;
+        case "Code":
+          return inline.c[1];
+        case "Space":
+        case "SoftBreak":
+          return " ";
+        case "Emph":
+        case "Strong":
+          return textOf(inline.c);
+        case "Span":
+          return textOf(inline.c[1]);
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+// attr arrayOf(node) -> Callout
+function parseCallout([ident, classes, kvs], body) {
+  const titleKv = _.find(kvs, ([key]) => key === "title");
+  const otherKvs = kvs.filter(([key]) => key !== "title");
+
+  if (classes[0] === "aside") {
+    const [head, ...tail] = body;
+
+    return titleKv == null && head != null && head.t === "Header"
+      ? new Callout(ident, "aside", textOf(head.c[2]), otherKvs, tail)
+      : new Callout(ident, "aside", titleKv && titleKv[1], otherKvs, body);
+  } else {
+    return new Callout(
+      ident,
+      kindOf(classes[1]),
+      titleKv == null ? null : titleKv[1],
+      otherKvs,
+      body
+    );
+  }
+}
+
+// Filter ----------------------------------------
+
+// (Callout meta -> or(node, arrayOf(node))) -> filter
+function createFilter(render) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "Div") {
+      const [[ident, classes, kvs], body] = value;
+
+      switch (classes && classes[0]) {
+        case "callout":
+        case "aside":
+          return render(parseCallout([ident, classes, kvs], body), meta);
+      }
+    }
+  };
+}
+
+module.exports = {
+  Callout,
+  createFilter,
+};
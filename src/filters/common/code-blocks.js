@@ -0,0 +1,287 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+
+/*
+Code blocks can use three attributes:
+
+```scala {highlight="2,4-5" caption="Summing a list"}
+def sum(list: List[Int]): Int =
+  list match {
+    case Nil => 0 // <1>
+    case head :: tail => head + sum(tail) // <2>
+  }
+```
+
+1. The empty list sums to zero.
+2. Otherwise add the head to the sum of the tail.
+
+- `highlight` emphasises lines (numbered from 1);
+
+- comments like `// <1>` at the end of a line are callout markers,
+  explained by the numbered list straight after the block;
+
+- `caption` is a title for the block. Blocks with a pandoc-crossref label
+  (`{#lst:sum caption="..."}`) are numbered, so `[@lst:sum]` can refer to them.
+  In HTML, pandoc-crossref (which runs before our filters) captions them,
+  and in the PDF the listings package does.
+
+This module parses code blocks. pdf/listings.js renders them in LaTeX,
+and html/code-blocks.js and epub/code-blocks.js in HTML,
+using the `htmlBlocks` helper below.
+*/
+
+// Data types ------------------------------------
+
+class Callout {
+  constructor(line, number, comment) {
+    this.line = line; // integer (from 1)
+    this.number = number; // integer
+    this.comment = comment; // string: the comment syntax, e.g. "//"
+  }
+}
+
+class Listing {
+  constructor(ident, classes, kvs, text, caption, highlight, callouts) {
+    this.ident = ident; // string
+    this.classes = classes; // arrayOf(string)
+    this.kvs = kvs; // remaining attributes
+    this.text = text; // string, without callout markers
+    this.caption = caption; // or(string, null)
+    this.crossref = ident.startsWith("lst:"); // boolean
+    this.highlight = highlight; // arrayOf(integer): line numbers
+    this.callouts = callouts; // arrayOf(Callout)
+  }
+}
+
+// Parsing ---------------------------------------
+
+const calloutRegex = /\s*(\/\/|#|--)\s*<(\d+)>\s*$/;
+
+// string -> arrayOf(integer)
+//
+// "2,4-5" -> [2, 4, 5]
+function parseRanges(text) {
+  const lines = text
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part !== "")
+    .flatMap((part) => {
+      const match = part.match(/^(\d+)(?:-(\d+))?$/);
+
+      if (match == null) {
+        console.error(`Bad line range "${part}" in highlight="${text}".`);
+        return [];
+      }
+
+      const from = parseInt(match[1], 10);
+      const to = match[2] == null ? from : parseInt(match[2], 10);
+      return _.range(from, to + 1);
+    });
+
+  return _.sortBy(_.uniq(lines), _.identity);
+}
+
+// node -> boolean
+function hasFeatures(block) {
+  if (block == null || block.t !== "CodeBlock") {
+    return false;
+  }
+
+  const [[ident, classes, kvs], text] = block.c;
+
+  return (
+    kvs.some(([key]) => key === "highlight" || key === "caption") ||
+    text.split("\n").some((line) => calloutRegex.test(line))
+  );
+}
+
+// node -> Listing
+function parseListing(block) {
+  const [[ident, classes, kvs], text] = block.c;
+
+  const highlightKv = _.find(kvs, ([key]) => key === "highlight");
+  const captionKv = _.find(kvs, ([key]) => key === "caption");
+  const otherKvs = kvs.filter(
+    ([key]) => key !== "highlight" && key !== "caption"
+  );
+
+  const callouts = [];
+
+  const lines = text.split("\n").map((line, i) => {
+    const match = line.match(calloutRegex);
+
+    if (match == null) {
+      return line;
+    }
+
+    callouts.push(new Callout(i + 1, parseInt(match[2], 10), match[1]));
+    return line.substring(0, match.index);
+  });
+
+  return new Listing(
+    ident,
+    classes,
+    otherKvs,
+    lines.join("\n"),
+    captionKv == null ? null : captionKv[1],
+    highlightKv == null ? [] : parseRanges(highlightKv[1]),
+    callouts
+  );
+}
+
+// Listing or(node, null) -> undefined
+//
+// Warn if the callout markers don't match the list that explains them:
+function checkCallouts(listing, list) {
+  if (listing.callouts.length === 0) {
+    return;
+  }
+
+  const name = listing.ident !== "" ? ` "${listing.ident}"` : "";
+  const items = list == null ? 0 : list.c[1].length;
+
+  if (list == null) {
+    console.error(`Code block${name} has callouts but no list after it.`);
+  } else if (listing.callouts.some((callout) => callout.number > items)) {
+    console.error(
+      `Code block${name} has more callouts than the list after it has items.`
+    );
+  }
+}
+
+// HTML rendering --------------------------------
+
+// Listing -> arrayOf(node)
+//
+// We can't put markup inside a code block without losing pandoc's
+// syntax highlighting, so we split the block into runs of lines
+// and mark the highlighted runs with a class.
+// Callout markers stay in the code as comments: `// (1)`.
+function codeSegments(listing) {
+  const lines = listing.text.split("\n").map((line, i) => {
+    const callout = _.find(listing.callouts, (c) => c.line === i + 1);
+    return callout == null
+      ? line
+      : `${line} ${callout.comment} (${callout.number})`;
+  });
+
+  const numbered = listing.classes.includes("numberLines");
+  const segments = [];
+
+  lines.forEach((line, i) => {
+    const highlighted = listing.highlight.includes(i + 1);
+    const last = segments[segments.length - 1];
+
+    if (last != null && last.highlighted === highlighted) {
+      last.lines.push(line);
+    } else {
+      segments.push({ highlighted, start: i + 1, lines: [line] });
+    }
+  });
+
+  return segments.map(({ highlighted, start, lines }) =>
+    pandoc.CodeBlock(
+      [
+        "",
+        highlighted ? [...listing.classes, "highlighted"] : listing.classes,
+        numbered && start > 1
+          ? [...listing.kvs, ["startFrom", `${start}`]]
+          : listing.kvs,
+      ],
+      lines.join("\n")
+    )
+  );
+}
+
+// string node -> node
+//
+// Give each item in the callout list an id, `${base}-callout-${n}`:
+function calloutList(base, list) {
+  const [[start, style, delim], items] = list.c;
+
+  return pandoc.OrderedList(
+    [start, style, delim],
+    items.map((item, i) => [
+      pandoc.Div([`${base}-callout-${start + i}`, [], []], item),
+    ])
+  );
+}
+
+// Listing or(node, null) string -> node
+//
+// A div holding the caption, the code, and the callout list.
+// The base is an id for the callout items if the block has none:
+function htmlBlocks(listing, list, base) {
+  const ident = listing.ident !== "" ? listing.ident : base;
+
+  // pandoc-crossref has already captioned labelled listings:
+  const caption =
+    listing.caption == null || listing.crossref
+      ? []
+      : [
+          pandoc.Div(
+            ["", ["listing-caption"], []],
+            [pandoc.Plain([pandoc.Str(listing.caption)])]
+          ),
+        ];
+
+  const callouts = list == null ? [] : [calloutList(ident, list)];
+
+  const classes =
+    list == null ? ["code-block"] : ["code-block", "code-callouts"];
+
+  return pandoc.Div(
+    [listing.ident, classes, list == null ? [] : [["data-callouts", ident]]],
+    [...caption, ...codeSegments(listing), ...callouts]
+  );
+}
+
+// Filter ----------------------------------------
+
+// (Listing or(node, null) meta -> or(node, arrayOf(node))) -> filter
+//
+// The renderer receives the listing and the list explaining its callouts
+// (if it has callouts and a list follows it). The list is replaced too:
+function createFilter(render) {
+  return {
+    array: (nodes, format, meta) => {
+      const ans = [];
+
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+
+        if (!hasFeatures(node)) {
+          ans.push(node);
+          continue;
+        }
+
+        const listing = parseListing(node);
+        const next = nodes[i + 1];
+
+        const hasList = next != null && next.t === "OrderedList";
+        const list = listing.callouts.length > 0 && hasList ? next : null;
+
+        checkCallouts(listing, list);
+
+        if (list != null) {
+          i++; // the renderer replaces the list
+        }
+
+        const rendered = render(listing, list, meta);
+        ans.push(...(Array.isArray(rendered) ? rendered : [rendered]));
+      }
+
+      return ans;
+    },
+  };
+}
+
+module.exports = {
+  Callout,
+  Listing,
+  parseRanges,
+  hasFeatures,
+  parseListing,
+  htmlBlocks,
+  createFilter,
+};
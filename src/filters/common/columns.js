@@ -0,0 +1,50 @@
+const pandoc = require("pandoc-filter");
+
+/*
+Columns are written as a div.row containing one div per column:
+
+<div class="row">
+<div>
+...
+</div>
+<div>
+...
+</div>
+</div>
+
+This module finds rows. Each output format provides a renderer
+(see pdf/columns.js, html/columns.js, and epub/columns.js).
+*/
+
+// node string -> node
+//
+// Wrap a column in a div with the given class.
+// Columns are usually divs already, in which case we add the class:
+function asColumn(node, className) {
+  if (node.t === "Div") {
+    const [[ident, classes, kvs], body] = node.c;
+    return pandoc.Div([ident, [className, ...classes], kvs], body);
+  } else {
+    return pandoc.Div(["", [className], []], [node]);
+  }
+}
+
+// The renderer receives the row's identifier, attributes,
+// list of columns, and the document metadata:
+function createFilter(render) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "Div") {
+      const [[ident, classes, kvs], body] = value;
+
+      switch (classes && classes[0]) {
+        case "row":
+          return render(ident, kvs, body, meta);
+      }
+    }
+  };
+}
+
+module.exports = {
+  asColumn,
+  createFilter,
+};
@@ -0,0 +1,105 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const messages = require("./messages");
+
+/*
+Comparisons are divs of two or more code blocks, each with a label:
+
+<div class="compare">
+```scala {label="Option"}
+...
+```
+```scala {label="List"}
+...
+```
+</div>
+
+This module parses comparisons. Each output format provides a renderer
+(see pdf/compare.js, html/compare.js, and epub/compare.js).
+*/
+
+// Data types ------------------------------------
+
+class Panel {
+  constructor(label, block) {
+    this.label = label; // string
+    this.block = block; // node (the code block, without its label)
+  }
+}
+
+class Compare {
+  constructor(ident, kvs, panels) {
+    this.ident = ident; // string
+    this.kvs = kvs; // attributes of the div
+    this.panels = panels; // arrayOf(Panel)
+  }
+}
+
+// Parsing ---------------------------------------
+
+// node integer function -> Panel
+//
+// Unlabelled code blocks are labelled by their language,
+// or numbered if they have none:
+function parsePanel(block, index, message) {
+  const [[ident, classes, kvs], text] = block.c;
+  const labelKv = _.find(kvs, ([key]) => key === "label");
+  const otherKvs = kvs.filter(([key]) => key !== "label");
+
+  const label =
+    labelKv != null
+      ? labelKv[1]
+      : classes.length > 0
+      ? classes[0]
+      : message("version", { number: index + 1 });
+
+  return new Panel(label, pandoc.CodeBlock([ident, classes, otherKvs], text));
+}
+
+// attr arrayOf(node) meta -> Compare
+function parseCompare([ident, classes, kvs], body, meta) {
+  const blocks = body.filter((block) => block.t === "CodeBlock");
+
+  if (blocks.length < body.length) {
+    console.error(
+      `Comparison "${ident}" contains blocks that aren't code. Ignoring them.`
+    );
+  }
+
+  if (blocks.length < 2) {
+    console.error(`Comparison "${ident}" needs at least two code blocks.`);
+  }
+
+  const message = messages.forMeta(meta);
+
+  return new Compare(
+    ident,
+    kvs,
+    blocks.map((block, i) => parsePanel(block, i, message))
+  );
+}
+
+// Filter ----------------------------------------
+
+// (Compare meta -> or(node, arrayOf(node))) -> filter
+function createFilter(render) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "Div") {
+      const [[ident, classes, kvs], body] = value;
+
+      switch (classes && classes[0]) {
+        case "compare":
+          return render(
+            parseCompare([ident, classes, kvs], body, meta),
+            meta
+          );
+      }
+    }
+  };
+}
+
+module.exports = {
+  Compare,
+  Panel,
+  createFilter,
+};
@@ -0,0 +1,144 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const metadata = require("./metadata");
+
+/*
+Divs and spans can appear in some editions of the book and not others:
+
+<div only="pdf epub">
+Turn to the solution on page N.
+</div>
+
+[click to reveal]{only=html}
+
+<div when="print">
+...
+</div>
+
+- `only` lists the targets (pdf, html, epub) that show the content;
+
+- `except` lists the targets that don't;
+
+- `when` lists flags that must all be set, or unset with a `!` (`!print`).
+  The `print` flag is set in the print edition (`blackandwhiteprintable`),
+  and the others come from the `flags` metadata (e.g. `flags: { beta: true }`).
+
+Content whose conditions fail is removed, and divs and spans
+that have nothing but conditions are replaced by their contents.
+The filter runs before all the others, so they never see pruned content.
+*/
+
+const targets = ["pdf", "html", "epub"];
+
+const conditionKeys = ["only", "except", "when"];
+
+// Conditions ------------------------------------
+
+// string -> arrayOf(string)
+//
+// "pdf, epub" -> ["pdf", "epub"]
+function words(text) {
+  return text.split(/[\s,]+/).filter((word) => word !== "");
+}
+
+// string meta -> boolean
+function flag(name, meta) {
+  if (name === "print") {
+    return metadata.getBool(meta, ["blackandwhiteprintable"], false);
+  }
+
+  const value = metadata.getBool(meta, ["flags", name]);
+
+  if (value == null) {
+    console.error(`Unknown flag "${name}" in when="...". Treating as unset.`);
+    return false;
+  }
+
+  return value;
+}
+
+// string -> arrayOf(string)
+function targetsIn(text) {
+  const ans = words(text);
+
+  for (const target of ans) {
+    if (!targets.includes(target)) {
+      console.error(`Unknown target "${target}" in condition "${text}".`);
+    }
+  }
+
+  return ans;
+}
+
+// arrayOf(array) string meta -> boolean
+//
+// Do all the conditions hold for this target and metadata?
+function holds(conditions, target, meta) {
+  return conditions.every(([key, value]) => {
+    switch (key) {
+      case "only":
+        return targetsIn(value).includes(target);
+
+      case "except":
+        return !targetsIn(value).includes(target);
+
+      case "when":
+        return words(value).every((word) =>
+          word.startsWith("!")
+            ? !flag(word.substring(1), meta)
+            : flag(word, meta)
+        );
+    }
+  });
+}
+
+// Pruning ---------------------------------------
+
+// node string meta -> arrayOf(node)
+//
+// The nodes that replace a node:
+function prune(node, target, meta) {
+  if (node == null || (node.t !== "Div" && node.t !== "Span")) {
+    return [node];
+  }
+
+  const [[ident, classes, kvs], body] = node.c;
+  const conditions = kvs.filter(([key]) => conditionKeys.includes(key));
+  const otherKvs = kvs.filter(([key]) => !conditionKeys.includes(key));
+
+  if (conditions.length === 0) {
+    return [node];
+  } else if (!holds(conditions, target, meta)) {
+    return [];
+  } else if (ident === "" && classes.length === 0 && otherKvs.length === 0) {
+    // The walk doesn't revisit the contents we splice in,
+    // so we prune them here:
+    return pruneAll(body, target, meta);
+  } else {
+    return [{ t: node.t, c: [[ident, classes, otherKvs], body] }];
+  }
+}
+
+// arrayOf(node) string meta -> arrayOf(node)
+function pruneAll(nodes, target, meta) {
+  return _.flatten(
+    nodes.map((node) => prune(node, target, meta)),
+    true
+  );
+}
+
+// Filter ----------------------------------------
+
+// string -> filter
+//
+// The target is "pdf", "html", or "epub":
+function createFilter(target) {
+  return {
+    array: (nodes, format, meta) => pruneAll(nodes, target, meta),
+  };
+}
+
+module.exports = {
+  holds,
+  createFilter,
+};
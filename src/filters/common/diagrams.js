@@ -0,0 +1,176 @@
+const _ = require("underscore");
+const childProcess = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const pandoc = require("pandoc-filter");
+const metadata = require("./metadata");
+
+/*
+Renders diagrams written as code blocks:
+
+```dot {#flatmap-diagram caption="Sequencing with flatMap"}
+digraph { "F[A]" -> "F[B]" [label="flatMap"] }
+```
+
+The block's language picks the tool: `dot`, or one of the other
+Graphviz layouts (`neato`, `circo`, `fdp`, `twopi`), or `plantuml`
+for PlantUML's sequence, class, and other UML diagrams
+(which can leave out `@startuml` and `@enduml`).
+The PDF gets a PDF from Graphviz and a PNG from PlantUML
+(which can't write PDFs without extra libraries),
+and HTML and the ePub get an SVG.
+A `caption` attribute makes the diagram a figure,
+and the diagram's source is its alt text unless it has an `alt` attribute.
+
+Diagrams aren't numbered by pandoc-crossref, even with a `#fig:` id:
+crossref runs before our filters (see project/Pandoc.scala),
+when the diagram is still a code block.
+Refer to a diagram with a link to its id instead of `@fig:...`.
+
+Renders are cached in the `diagrams.cacheDir` directory,
+named after a hash of the tool, the format, and the source,
+so the build only runs the tool for new or changed diagrams.
+If the tool is missing or fails, we warn and leave the code block as it is.
+*/
+
+const defaultCacheDir = "target/diagrams";
+
+// Each tool reads the source on stdin and writes the diagram to stdout.
+// It has a command, its arguments for a format,
+// the format for each target, and the source to give it:
+
+const graphviz = (layout) => ({
+  command: layout,
+  args: (format) => [`-T${format}`],
+  formats: { pdf: "pdf", html: "svg", epub: "svg" },
+  source: (text) => text,
+});
+
+const plantuml = {
+  command: "plantuml",
+  args: (format) => ["-pipe", `-t${format}`],
+  formats: { pdf: "png", html: "svg", epub: "svg" },
+  source: (text) =>
+    /^\s*@start/.test(text) ? text : `@startuml\n${text}\n@enduml\n`,
+};
+
+const tools = {
+  dot: graphviz("dot"),
+  neato: graphviz("neato"),
+  circo: graphviz("circo"),
+  fdp: graphviz("fdp"),
+  twopi: graphviz("twopi"),
+  plantuml,
+};
+
+// Rendering -------------------------------------
+
+// string string string string -> string
+//
+// The cached file for a diagram:
+function cacheFile(cacheDir, language, format, text) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${language}\n${format}\n${text}`)
+    .digest("hex")
+    .substring(0, 16);
+
+  return path.join(cacheDir, `${language}-${hash}.${format}`);
+}
+
+// string string string string -> or(string, null)
+//
+// The file for the diagram, rendering it if it isn't cached,
+// or null if we couldn't render it:
+function render(cacheDir, language, target, text) {
+  const tool = tools[language];
+  const format = tool.formats[target];
+  const file = cacheFile(cacheDir, language, format, text);
+
+  if (fs.existsSync(file)) {
+    return file;
+  }
+
+  const { command } = tool;
+  const result = childProcess.spawnSync(command, tool.args(format), {
+    input: tool.source(text),
+  });
+
+  if (result.error != null) {
+    console.error(
+      `Couldn't run "${command}" to render a diagram: ${result.error.message}`
+    );
+    return null;
+  } else if (result.status !== 0) {
+    console.error(
+      `"${command}" couldn't render a diagram:\n${result.stderr.toString()}`
+    );
+    return null;
+  }
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(file, result.stdout);
+  return file;
+}
+
+// Node helpers ----------------------------------
+
+// attr string string -> node
+function diagram([ident, classes, kvs], file, text) {
+  const captionKv = _.find(kvs, ([key]) => key === "caption");
+  const altKv = _.find(kvs, ([key]) => key === "alt");
+  const otherKvs = kvs.filter(([key]) => key !== "caption" && key !== "alt");
+
+  const alt = altKv != null ? altKv[1] : text.replace(/\s+/g, " ").trim();
+  const image = pandoc.Image(["", [], []], [pandoc.Str(alt)], [file, ""]);
+
+  if (captionKv == null) {
+    return pandoc.Div(
+      [ident, ["diagram", ...classes], otherKvs],
+      [pandoc.Para([image])]
+    );
+  }
+
+  return pandoc.Figure(
+    [ident, ["diagram", ...classes], otherKvs],
+    [null, [pandoc.Plain([pandoc.Str(captionKv[1])])]],
+    [pandoc.Plain([image])]
+  );
+}
+
+// Filter ----------------------------------------
+
+// string -> filter
+//
+// The target is "pdf", "html", or "epub":
+function createFilter(target) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type !== "CodeBlock") {
+      return;
+    }
+
+    const [[ident, [language, ...classes], kvs], text] = value;
+
+    if (!_.has(tools, language)) {
+      return;
+    }
+
+    const cacheDir = metadata.getString(
+      meta,
+      ["diagrams", "cacheDir"],
+      defaultCacheDir
+    );
+
+    const file = render(cacheDir, language, target, text);
+
+    if (file != null) {
+      return diagram([ident, classes, kvs], file, text);
+    }
+  };
+}
+
+module.exports = {
+  cacheFile,
+  createFilter,
+};
@@ -0,0 +1,26 @@
+// node -> or(string, null)
+//
+// The identifier of any node that has attributes
+// (which is "" if the node has attributes but no identifier),
+// or null for nodes that can't have one:
+function identOf({t: type, c: value}) {
+  switch (type) {
+    case "Header":
+      return value[1][0];
+    case "Div":
+    case "Span":
+    case "CodeBlock":
+    case "Code":
+    case "Link":
+    case "Image":
+    case "Table":
+    case "Figure":
+      return value[0][0];
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  identOf,
+};
@@ -0,0 +1,100 @@
+const _ = require("underscore");
+const fs = require("fs");
+const path = require("path");
+const pandoc = require("pandoc-filter");
+
+/*
+Writes a JSON manifest of every exercise in the book,
+for exercise trackers and LMS imports. For example:
+
+{
+  "exercises": [
+    {
+      "chapter": { "title": "Monads", "anchor": "sec:monads" },
+      "title": "Show Your Working",
+      "part": 1,
+      "anchors": {
+        "exercise": "exercise-show-your-working",
+        "solution": "solution:monads:writer-monad:1",
+        "hints": ["hint:monads:writer-monad:1:1"]
+      },
+      "languages": ["scala"]
+    }
+  ]
+}
+
+The input is the solutions filter's accumulator:
+a list of chapter headings, each followed by the solutions in that chapter.
+*/
+
+// Newer versions of Pandoc output code listings as
+// raw latex blocks containing lstlisting environments:
+const listingStyleRegex = /^\\begin\{lstlisting\}\[(?:.*,)?style=([^,\]]+)/;
+
+// arrayOf(node) -> arrayOf(string)
+//
+// The languages of the code blocks in a solution, in order of appearance:
+function languagesOf(body) {
+  const languages = [];
+
+  pandoc.walkSync(
+    body,
+    ({t: type, c: value}) => {
+      if (type === "CodeBlock") {
+        const [[ident, classes, kvs]] = value;
+        const language = classes.find((c) => !c.startsWith("mdoc"));
+
+        if (language != null) {
+          languages.push(language);
+        }
+      } else if (type === "RawBlock") {
+        const match = value[1].match(listingStyleRegex);
+
+        if (match != null) {
+          languages.push(match[1]);
+        }
+      }
+    },
+    "",
+    {}
+  );
+
+  return _.uniq(languages);
+}
+
+// arrayOf(or(Heading, Solution)) -> object
+function createManifest(items) {
+  const exercises = [];
+  let chapter = null;
+
+  for (let item of items) {
+    if (item.solutionLabel == null) {
+      chapter = { title: item.title, anchor: item.label };
+    } else {
+      exercises.push({
+        chapter,
+        title: item.exerciseTitle,
+        part: item.exerciseNumber,
+        anchors: {
+          exercise: item.exerciseLabel,
+          solution: item.solutionLabel,
+          hints: item.hintLabels,
+        },
+        languages: languagesOf(item.body),
+      });
+    }
+  }
+
+  return { exercises };
+}
+
+// string arrayOf(or(Heading, Solution)) -> undefined
+function writeManifest(file, items) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(createManifest(items), null, 2) + "\n");
+}
+
+module.exports = {
+  createManifest,
+  writeManifest,
+};
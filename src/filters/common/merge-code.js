@@ -1,125 +1,107 @@
+const _ = require("underscore");
 const pandoc = require("pandoc-filter");
-const stdin = require("get-stdin");
+
+/*
+This script merges adjacent code blocks of the same kind
+into a single block. mdoc splits code into one block per statement
+in some modes, which looks noisy when rendered.
+
+We merge two kinds of block:
+
+- CodeBlocks with identical classes and attributes.
+  The classes include mdoc modifiers such as `mdoc:silent`,
+  so we never merge blocks with different modifiers.
+
+- RawBlocks containing LaTeX lstlisting environments
+  with identical options (style, etc).
+*/
 
 // String helpers --------------------------------
 
 // Newer versions of Pandoc output code listings as
 // raw latex blocks containing lstlisting environments
 // instead of as code blocks:
-const listingBeginRegex = /^\\begin\{lstlisting\}\[style=([^\]]+)\]/;
+const listingRegex =
+  /^\\begin\{lstlisting\}(\[[^\]]*\])?\n([\s\S]*)\n\\end\{lstlisting\}$/;
+
+// node -> or(arrayOf(string), null)
+//
+// The options and body of an lstlisting RawBlock:
+function listingOf(block) {
+  if (block.t !== "RawBlock") {
+    return null;
+  }
 
-const listingEndRegex = /\\end\{lstlisting\}$/;
+  const [format, text] = block.c;
+  const match = format === "latex" ? text.match(listingRegex) : null;
+  return match == null ? null : [match[1] || "", match[2]];
+}
+
+// Merging ---------------------------------------
 
 function areMergeable(a, b) {
   if (a.t === "CodeBlock" && b.t === "CodeBlock") {
-    // Merge CodeBlock-style blocks:
-    const aLang = a.c[0][1][0] != null;
-    const bLang = b.c[0][1][0] != null;
-    return aLang === bLang;
-  } else if (a.t === "RawBlock" && b.t === "RawBlock") {
-    // Merge raw LaTeX blocks containing matching lstlisting environments:
-    const aLang = a.c[1].match(listingBeginRegex);
-    const bLang = b.c[1].match(listingBeginRegex);
+    const [[aIdent, aClasses, aKvs]] = a.c;
+    const [[bIdent, bClasses, bKvs]] = b.c;
+
+    // Don't drop the second block's anchor:
     return (
-      aLang != null &&
-      bLang != null &&
-      aLang.length >= 2 &&
-      bLang.length >= 2 &&
-      aLang[1] === bLang[1]
+      bIdent === "" && _.isEqual(aClasses, bClasses) && _.isEqual(aKvs, bKvs)
     );
+  } else if (a.t === "RawBlock" && b.t === "RawBlock") {
+    const aListing = listingOf(a);
+    const bListing = listingOf(b);
+
+    return aListing != null && bListing != null && aListing[0] === bListing[0];
   } else {
     return false;
   }
 }
 
+// Assumes areMergeable(a, b):
 function mergeTwo(a, b) {
-  // Merge CodeBlock-style blocks:
-  if (a.t === "CodeBlock" && b.t === "CodeBlock") {
+  if (a.t === "CodeBlock") {
     return pandoc.CodeBlock(a.c[0], a.c[1] + "\n\n" + b.c[1]);
-    // Merge raw LaTeX blocks containing matching lstlisting environments:
-  } else if (a.t === "RawBlock" && b.t === "RawBlock") {
-    return pandoc.CodeBlock(
-      a.c[0],
-      a.c[1].replace(listingBeginRegex, "") + b.c[1].replace(listingEndRegex)
-    );
   } else {
-    return false;
+    const [options, aBody] = listingOf(a);
+    const [unused, bBody] = listingOf(b);
+
+    return pandoc.RawBlock(
+      "latex",
+      [
+        `\\begin{lstlisting}${options}`,
+        aBody + "\n\n" + bBody,
+        "\\end{lstlisting}",
+      ].join("\n")
+    );
   }
 }
 
-function mergeAll(blocks, accum = []) {
-  switch (blocks.length) {
-    case 0:
-      return accum;
+// arrayOf(node) -> arrayOf(node)
+function mergeAll(blocks) {
+  const accum = [];
 
-    case 1:
-      return accum.concat(blocks);
+  for (let block of blocks) {
+    const last = accum[accum.length - 1];
 
-    default:
-      const [a, b, ...tail] = blocks;
-      return areMergeable(a, b)
-        ? mergeAll([mergeTwo(a, b)].concat(tail), accum)
-        : mergeAll([b].concat(tail), accum.concat([a]));
+    if (last != null && areMergeable(last, block)) {
+      accum[accum.length - 1] = mergeTwo(last, block);
+    } else {
+      accum.push(block);
+    }
   }
+
+  return accum;
 }
 
+// pandoc.walk calls the "array" action on every list of nodes,
+// including the top-level list of blocks in the document:
 function createFilter() {
-  return function ({t: type, c: value}, format, meta) {
-    switch (type) {
-      case "Pandoc": {
-        const [meta, blocks] = value;
-        return { t: "Pandoc", c: [meta, mergeAll(blocks)] };
-      }
-
-      case "BlockQuote": {
-        const blocks = value;
-        return pandoc.BlockQuote(mergeAll(blocks));
-      }
-
-      case "Div": {
-        const [attr, blocks] = value;
-        return pandoc.Div(attr, mergeAll(blocks));
-      }
-
-      case "Note": {
-        const blocks = value;
-        return pandoc.Note(mergeAll(blocks));
-      }
-
-      case "ListItem": {
-        const [blocks] = value;
-        return pandoc.ListItem(mergeAll(blocks));
-      }
-
-      case "Definition": {
-        const [blocks] = value;
-        return pandoc.Definition(mergeAll(blocks));
-      }
-
-      case "TableCell": {
-        const [blocks] = value;
-        return pandoc.TableCell(mergeAll(blocks));
-      }
-
-      default: return value;
-    }
+  return {
+    array: (nodes, format, meta) => mergeAll(nodes),
   };
 }
 
-// Rewrite of pandoc.stdio that
-// treats the top-level Pandoc as a single element
-// so we can merge code blocks at the top level -.-
-function stdioComplete(action) {
-  return stdin().then((json) => {
-    let data = JSON.parse(json);
-    data = Object.assign(data, { blocks: mergeAll(data.blocks) });
-    const format = process.argv.length > 2 ? process.argv[2] : "";
-    const output = pandoc.filter(data, action, format);
-    output.then(out => process.stdout.write(JSON.stringify(out)));
-  });
-}
-
 module.exports = {
   createFilter,
-  stdioComplete,
 };
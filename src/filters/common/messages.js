@@ -0,0 +1,53 @@
+const messages = require("../../messages");
+const metadata = require("./metadata");
+
+/*
+The generated text in the language of the document
+(the `lang` metadata). See src/messages for the catalogs.
+
+The filter puts the messages the templates need in the metadata,
+so template.html can use `$messages.tableOfContents$`.
+*/
+
+// setOf(string)
+//
+// Languages we've warned about, so we only warn once:
+const warned = new Set();
+
+// meta -> (string object -> string)
+function forMeta(meta) {
+  const lang = metadata.getString(meta, ["lang"]);
+
+  if (lang != null && messages.langFor(lang) == null && !warned.has(lang)) {
+    console.error(`No messages for language "${lang}". Using English.`);
+    warned.add(lang);
+  }
+
+  return messages.forLang(lang);
+}
+
+// arrayOf(string) -> filter
+function createFilter(keys) {
+  return {
+    document: (doc, format, meta) => {
+      const message = forMeta(meta);
+      const values = {};
+
+      for (const key of keys) {
+        values[key] = { t: "MetaString", c: message(key) };
+      }
+
+      return Object.assign({}, doc, {
+        meta: Object.assign({}, doc.meta, {
+          messages: { t: "MetaMap", c: values },
+        }),
+      });
+    },
+  };
+}
+
+module.exports = {
+  fill: messages.fill,
+  forMeta,
+  createFilter,
+};
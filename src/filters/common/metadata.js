@@ -1,53 +1,174 @@
 const _ = require("underscore");
 const pandoc = require("pandoc-filter");
 
-function getString(meta, key, orElse = undefined) {
-  function stringify(node) {
-    if (Array.isArray(node)) {
-      return node.map(stringify).join("");
-    } else if (node != null && node.t != null) {
-      switch (node.t) {
-        case "Space":
-          return " ";
-        default:
-          return stringify(node.c);
-      }
-    } else if (node != null) {
-      return `${node}`;
-    } else {
-      return orElse;
+/*
+Typed access to document metadata.
+
+Each getter takes the metadata, a key path (e.g. ["solutions", "headingText"]),
+and a value to return if the key is missing or has the wrong type.
+
+Pandoc parses YAML scalars as MetaInlines (or MetaString when they come from
+the command line), so strings and numbers can be either.
+`check` validates metadata against the schema in schema.js
+so misspelled or ill-typed keys don't fall back to defaults unnoticed.
+*/
+
+// Raw access ------------------------------------
+
+// object arrayOf(string) -> or(node, undefined)
+function ref(meta, key) {
+  let node = meta == null ? undefined : meta[key[0]];
+
+  for (const part of key.slice(1)) {
+    switch (node && node.t) {
+      case "MetaMap":
+      case "MetaList":
+        node = node.c[part];
+        break;
+
+      default:
+        return undefined;
     }
   }
 
-  function ref(node, key) {
-    if (key.length === 0) {
-      return stringify(node);
-    } else {
-      const [head, ...tail] = key;
-      switch (node && node.t) {
-        case "MetaMap":
-        case "MetaList":
-          return ref(node.c[head], tail);
-
-        case "MetaBool":
-        case "MetaString":
-        case "MetaInlines":
-        case "MetaBlocks":
-        default:
-          return orElse;
-      }
+  return node;
+}
+
+// any -> string
+function stringify(node) {
+  if (Array.isArray(node)) {
+    return node.map(stringify).join("");
+  } else if (node != null && node.t != null) {
+    switch (node.t) {
+      case "Space":
+      case "SoftBreak":
+        return " ";
+      default:
+        return stringify(node.c);
     }
+  } else if (node != null) {
+    return `${node}`;
+  } else {
+    return "";
   }
+}
+
+// Getters ---------------------------------------
 
-  return key.length === 0 ? stringify(meta) : ref(meta[key[0]], key.slice(1));
+const intRegex = /^\s*-?\d+\s*$/;
+
+function getString(meta, key, orElse = undefined) {
+  const node = key.length === 0 ? meta : ref(meta, key);
+  return node == null ? orElse : stringify(node);
 }
 
 function getInt(meta, key, orElse = undefined) {
   const str = getString(meta, key, undefined);
-  return str == null ? orElse : parseInt(str, 10);
+  return str == null || !intRegex.test(str) ? orElse : parseInt(str, 10);
+}
+
+// The command line and YAML both give us MetaBools,
+// but we accept "true" and "false" strings too:
+function getBool(meta, key, orElse = undefined) {
+  const node = ref(meta, key);
+
+  if (node == null) {
+    return orElse;
+  } else if (node.t === "MetaBool") {
+    return node.c;
+  }
+
+  switch (stringify(node).trim()) {
+    case "true":
+      return true;
+    case "false":
+      return false;
+    default:
+      return orElse;
+  }
+}
+
+// Returns an array of raw metadata nodes:
+function getList(meta, key, orElse = undefined) {
+  const node = ref(meta, key);
+  return node != null && node.t === "MetaList" ? node.c : orElse;
+}
+
+// Returns an object of raw metadata nodes:
+function getMap(meta, key, orElse = undefined) {
+  const node = ref(meta, key);
+  return node != null && node.t === "MetaMap" ? node.c : orElse;
+}
+
+// Returns an array of inline nodes, keeping any formatting:
+function getInlines(meta, key, orElse = undefined) {
+  const node = ref(meta, key);
+
+  switch (node && node.t) {
+    case "MetaInlines":
+      return node.c;
+    case "MetaString":
+      return [pandoc.Str(node.c)];
+    case "MetaBlocks":
+      return _.flatten(
+        node.c
+          .filter((block) => block.t === "Plain" || block.t === "Para")
+          .map((block) => block.c),
+        true
+      );
+    default:
+      return orElse;
+  }
+}
+
+// Schema checking -------------------------------
+
+// A schema maps each key to one of the type names below,
+// or to a nested schema for a map with known keys:
+const checkers = {
+  string: (node) => ["MetaString", "MetaInlines"].includes(node.t),
+  int: (node) =>
+    ["MetaString", "MetaInlines"].includes(node.t) &&
+    intRegex.test(stringify(node)),
+  bool: (node) => node.t === "MetaBool",
+  inlines: (node) => ["MetaString", "MetaInlines"].includes(node.t),
+  list: (node) => node.t === "MetaList",
+  map: (node) => node.t === "MetaMap",
+  any: (node) => true,
+};
+
+// object object arrayOf(string) -> arrayOf(string)
+//
+// Warnings about unknown and ill-typed keys:
+function check(meta, schema, path = []) {
+  const warnings = [];
+
+  for (const [name, node] of Object.entries(meta)) {
+    const key = [...path, name].join(".");
+    const type = _.has(schema, name) ? schema[name] : null;
+
+    if (type == null) {
+      warnings.push(`Unknown metadata key "${key}".`);
+    } else if (typeof type === "object") {
+      if (node.t !== "MetaMap") {
+        warnings.push(`Metadata key "${key}" should have type map.`);
+      } else {
+        warnings.push(...check(node.c, type, [...path, name]));
+      }
+    } else if (!checkers[type](node)) {
+      warnings.push(`Metadata key "${key}" should have type ${type}.`);
+    }
+  }
+
+  return warnings;
 }
 
 module.exports = {
   getString,
   getInt,
+  getBool,
+  getList,
+  getMap,
+  getInlines,
+  check,
 };
@@ -0,0 +1,124 @@
+/*
+Every metadata key the book uses, and its type
+(see `check` in metadata.js for the type names).
+
+The pipeline warns about keys in the metadata that aren't listed here,
+or that have the wrong type. When a filter starts reading a new key,
+add it here too.
+*/
+
+// Keys our filters read -------------------------
+
+const filterKeys = {
+  // solutions.js
+  solutions: {
+    headingText: "string",
+    headingLevel: "int",
+    chapterHeadingTemplate: "string",
+    chapterHeadingLevel: "int",
+    solutionHeadingTemplate: "string",
+    solutionHeadingLevel: "int",
+  },
+  hints: {
+    placement: "string",
+    inlineHeadingTemplate: "string",
+    headingText: "string",
+    headingLevel: "int",
+    chapterHeadingTemplate: "string",
+    chapterHeadingLevel: "int",
+    hintHeadingTemplate: "string",
+    hintHeadingLevel: "int",
+  },
+
+  // book-index.js
+  bookIndex: {
+    headingText: "string",
+    headingLevel: "int",
+  },
+
+  // api-links.js
+  apiLinks: {
+    file: "string",
+    symbols: "map",
+  },
+
+  // vector-images.js
+  images: {
+    rasterDir: "string",
+  },
+
+  // variants.js
+  variants: {
+    show: "string",
+  },
+
+  // diagrams.js
+  diagrams: {
+    cacheDir: "string",
+  },
+
+  // validate.js
+  validation: {
+    linkDefinitions: "string",
+    urlAllowlist: "string",
+  },
+
+  // conditional.js
+  flags: "map",
+
+  // solutions.js, api-links.js, and pdf/*.js (and template.tex)
+  blackandwhiteprintable: "bool",
+
+  // Set on the command line by the build (see project/Pandoc.scala):
+  exerciseManifest: "string",
+  worksheetsDir: "string",
+  chunksDir: "string",
+  strictValidation: "bool",
+  pipeline: "string",
+};
+
+// Keys pandoc, pandoc-crossref, and our templates read --
+
+const pandocKeys = {
+  title: "inlines",
+  subtitle: "inlines",
+  author: "any",
+  date: "inlines",
+  license: "inlines",
+  copyright: "inlines",
+  lang: "string",
+  tocDepth: "int",
+  toc: "bool",
+  numbersections: "bool",
+  "header-includes": "any",
+  "include-before": "any",
+  "include-after": "any",
+  css: "any",
+  pagetitle: "inlines",
+  "title-prefix": "inlines",
+  documentclass: "string",
+  classoption: "any",
+  papersize: "string",
+  fontsize: "string",
+  geometry: "any",
+  fontfamily: "string",
+  mainfont: "string",
+  sansfont: "string",
+  monofont: "string",
+  mathfont: "string",
+  linestretch: "string",
+  linkcolor: "string",
+  urlcolor: "string",
+  citecolor: "string",
+  figPrefixTemplate: "inlines",
+  eqnPrefixTemplate: "inlines",
+  tblPrefixTemplate: "inlines",
+  lstPrefixTemplate: "inlines",
+  secPrefixTemplate: "inlines",
+};
+
+const schema = Object.assign({}, pandocKeys, filterKeys);
+
+module.exports = {
+  schema,
+};
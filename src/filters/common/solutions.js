@@ -1,6 +1,7 @@
 const _ = require("underscore");
 const pandoc = require("pandoc-filter");
-const crypto = require("crypto");
+const manifest = require("./manifest");
+const messages = require("./messages");
 const metadata = require("./metadata");
 
 // String helpers --------------------------------
@@ -48,68 +49,188 @@ function stripPrefix(title, prefix) {
     : title;
 }
 
-// string -> string
-let labelCounter = 1;
-function label(prefix, title) {
-  try {
-    return (
-      prefix +
-      crypto
-        .createHash("md5")
-        .update(title + "-" + labelCounter)
-        .digest("hex")
-    );
-  } finally {
-    labelCounter = labelCounter + 1;
+// or(Heading, null) -> or(string, null)
+//
+// A readable, stable slug for a heading.
+// We use the heading's anchor minus any pandoc-crossref prefix
+// (e.g. "sec:monads" becomes "monads"),
+// falling back to the heading text if there's no anchor:
+function slug(heading) {
+  if (heading == null) {
+    return null;
   }
+
+  const source =
+    heading.label !== ""
+      ? heading.label.replace(/^[a-z]+:/, "")
+      : heading.title;
+
+  return source
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// string or(Heading, null) or(Heading, null) integer -> string
+//
+// Labels are derived from the chapter, the section, and the index of
+// the solution within the section (e.g. "solution:monads:writer-monad:1")
+// so adding an exercise doesn't change the labels in other sections:
+function label(prefix, chapter, section, index) {
+  return [slug(chapter), slug(section), index]
+    .filter((part) => part != null && part !== "")
+    .reduce((ans, part) => `${ans}:${part}`, prefix);
 }
 
 // Node helpers ----------------------------------
 
-function solutionsHeading(text, level) {
-  return pandoc.Header(level, ["solutions", [], []], [pandoc.Str(text)]);
+function solutionsHeading(text, level, ident = "solutions") {
+  return pandoc.Header(level, [ident, [], []], [pandoc.Str(text)]);
+}
+
+// The generated text comes from the message catalog for the book's language
+// (see messages.js). Each helper takes the catalog's `message` function.
+
+// integer function -> string
+//
+// "Part 2" for the second part of an exercise, and nothing for the first:
+function partOf(exerciseNumber, message) {
+  return exerciseNumber > 1 ? message("part", { number: exerciseNumber }) : "";
 }
 
 function chapterHeading(heading, template, level) {
   return pandoc.Header(
     level,
     ["", [], []],
-    [pandoc.Str(template.replace("$title", heading.title))]
+    [pandoc.Str(messages.fill(template, { title: heading.title }))]
   );
 }
 
-function solutionHeading(solution, template, level) {
+function solutionHeading(solution, template, level, message) {
   return pandoc.Header(
     level,
     [solution.solutionLabel, [], []],
     [
       pandoc.Str(
-        template
-          .replace("$title", solution.exerciseTitle)
-          .replace(
-            "$part",
-            solution.exerciseNumber > 1 ? `Part ${solution.exerciseNumber}` : ""
-          )
+        messages.fill(template, {
+          title: solution.exerciseTitle,
+          part: partOf(solution.exerciseNumber, message),
+        })
+      ),
+    ]
+  );
+}
+
+function hintHeading(hint, template, level, message) {
+  return pandoc.Header(
+    level,
+    [hint.hintLabel, [], []],
+    [
+      pandoc.Str(
+        messages.fill(template, {
+          title: hint.exerciseTitle,
+          number: hint.hintNumber,
+          part: partOf(hint.exerciseNumber, message),
+        })
       ),
     ]
   );
 }
 
-function linkToSolution(solution) {
+function inlineHint(hint, template) {
+  return pandoc.Div(
+    [hint.hintLabel, ["hint"], []],
+    [
+      pandoc.Para([
+        pandoc.Strong([
+          pandoc.Str(messages.fill(template, { number: hint.hintNumber })),
+        ]),
+      ]),
+      ...hint.body,
+    ]
+  );
+}
+
+// string -> arrayOf(node)
+//
+// " on page " -> [Space, Str "on page", Space]
+function textInlines(text) {
+  const trimmed = text.trim();
+
+  if (trimmed === "") {
+    return text === "" ? [] : [pandoc.Space()];
+  }
+
+  return [
+    ...(/^\s/.test(text) ? [pandoc.Space()] : []),
+    pandoc.Str(trimmed),
+    ...(/\s$/.test(text) ? [pandoc.Space()] : []),
+  ];
+}
+
+// In print books readers can't follow links,
+// so we refer to the page the target is on instead
+// (pandoc gives every heading with an id a LaTeX \label).
+// The page number goes where the message has `$page`,
+// which can be anywhere in the sentence in other languages,
+// or at the end if the message has no `$page`:
+function pageReference(text, label, message) {
+  const pageref = pandoc.RawInline("latex", `\\pageref{${label}}`);
+  const filled = message("onPage", { target: text });
+  const parts = filled.includes("$page")
+    ? filled.split("$page")
+    : [`${filled} `, ""];
+
+  return pandoc.Para(
+    parts.flatMap((part, i) =>
+      i === 0 ? textInlines(part) : [pageref, ...textInlines(part)]
+    )
+  );
+}
+
+// The links between exercises, hints, and solutions have classes
+// so later filters can find them (see epub/semantics.js):
+function linkToHint(hint, printable, message) {
+  if (printable) {
+    return pageReference(
+      message("hint", { number: hint.hintNumber }),
+      hint.hintLabel,
+      message
+    );
+  }
+
   return pandoc.Para([
     pandoc.Link(
-      ["", [], []],
-      [pandoc.Str("See the solution")],
+      ["", ["hint-link"], []],
+      [pandoc.Str(message("seeHint", { number: hint.hintNumber }))],
+      ["#" + hint.hintLabel, ""]
+    ),
+  ]);
+}
+
+function linkToSolution(solution, printable, message) {
+  if (printable) {
+    return pageReference(message("solution"), solution.solutionLabel, message);
+  }
+
+  return pandoc.Para([
+    pandoc.Link(
+      ["", ["solution-link"], []],
+      [pandoc.Str(message("seeSolution"))],
       ["#" + solution.solutionLabel, ""]
     ),
   ]);
 }
 
-function linkToExercise(solution) {
+function linkToExercise(solution, printable, message) {
+  if (printable) {
+    return pageReference(message("exercise"), solution.exerciseLabel, message);
+  }
+
   return pandoc.Para([
     pandoc.Link(
-      ["", [], []],
-      [pandoc.Str("Return to the exercise")],
+      ["", ["exercise-link"], []],
+      [pandoc.Str(message("returnToExercise"))],
       ["#" + solution.exerciseLabel, ""]
     ),
   ]);
@@ -130,12 +251,32 @@ class Solution {
     solutionLabel,
     exerciseTitle,
     exerciseNumber,
+    hintLabels,
     body
   ) {
     this.exerciseLabel = exerciseLabel;
     this.solutionLabel = solutionLabel;
     this.exerciseTitle = exerciseTitle;
     this.exerciseNumber = exerciseNumber;
+    this.hintLabels = hintLabels;
+    this.body = body;
+  }
+}
+
+class Hint {
+  constructor(
+    exerciseLabel,
+    hintLabel,
+    exerciseTitle,
+    exerciseNumber,
+    hintNumber,
+    body
+  ) {
+    this.exerciseLabel = exerciseLabel;
+    this.hintLabel = hintLabel;
+    this.exerciseTitle = exerciseTitle;
+    this.exerciseNumber = exerciseNumber;
+    this.hintNumber = hintNumber;
     this.body = body;
   }
 }
@@ -148,11 +289,18 @@ function createFilter() {
   // A list of chapter (level 1) headings and solutions:
   const solutionAccum = [];
 
+  // arrayOf(or(Heading, Hint))
+  //
+  // A list of chapter (level 1) headings and hints
+  // (only used if we're moving hints to an appendix):
+  const hintAccum = [];
+
   // or(Heading, null)
   //
   // The last heading (any level) we passed.
   // We record this because exercise titles are rendered using headings:
   let chapterAccum = null;
+  let sectionAccum = null;
   let headingAccum = null;
 
   // integer
@@ -160,23 +308,46 @@ function createFilter() {
   // The number of solutions we've passed since the last heading.
   // We record this because some exercises have multiple solutions:
   let chapterCounter = 0; // index of solution since last chapter heading
+  let sectionCounter = 0; // index of solution since last section heading
   let exerciseCounter = 0; // index of solution since last heading
 
+  // integer
+  //
+  // The number of hints we've passed since the last solution or heading.
+  // Hints precede the solution they relate to:
+  let chapterHintCounter = 0; // index of hint since last chapter heading
+  let hintCounter = 0; // index of hint since last solution or heading
+
+  // arrayOf(string)
+  //
+  // Labels of the hints since the last solution or heading,
+  // which we attach to the next solution:
+  let hintLabelsAccum = [];
+
+  // setOf(string)
+  //
+  // Every solution and hint label we've generated,
+  // so we can report duplicates:
+  const labels = new Set();
+
+  function checkLabel(label, exerciseTitle) {
+    if (labels.has(label)) {
+      console.error(
+        `Duplicate solution label "${label}" in "${exerciseTitle}".`
+      );
+    }
+
+    labels.add(label);
+  }
+
   // Tree walkin' ----------------------------------
 
   return function ({t: type, c: value}, format, meta) {
-    // Hacity hack. Don't generate links in print books:
-    const createLinks =
-      typeof meta.blackandwhiteprintable === "undefined" ||
-      !meta.blackandwhiteprintable;
+    // Print books refer to page numbers instead of linking:
+    const printable = metadata.getBool(meta, ["blackandwhiteprintable"], false);
+    const message = messages.forMeta(meta);
 
     switch (type) {
-      case "Link": {
-        const [attrs, body, [href, unused]] = value;
-
-        return; // don't rewrite the document here
-      }
-
       case "Header": {
         const [level, [ident, classes, kvs], body] = value;
 
@@ -184,6 +355,8 @@ function createFilter() {
         // Some exercises have multiple solutions, so reset that counter too.
         headingAccum = new Heading(ident, textOf(body));
         exerciseCounter = 0;
+        hintCounter = 0;
+        hintLabelsAccum = [];
 
         // We keep a record of the last chapter heading.
         // As soon as we see a solution in this chapter,
@@ -191,6 +364,13 @@ function createFilter() {
         if (level === 1) {
           chapterAccum = headingAccum;
           chapterCounter = 0;
+          chapterHintCounter = 0;
+        }
+
+        // Solution labels are numbered within sections:
+        if (level <= 2) {
+          sectionAccum = level === 2 ? headingAccum : null;
+          sectionCounter = 0;
         }
 
         return; // don't rewrite the document here
@@ -202,6 +382,7 @@ function createFilter() {
         switch (classes && classes[0]) {
           case "solution": {
             chapterCounter = chapterCounter + 1;
+            sectionCounter = sectionCounter + 1;
             exerciseCounter = exerciseCounter + 1;
 
             // If this is the first solution this chapter,
@@ -212,26 +393,191 @@ function createFilter() {
             }
 
             // Titles of the exercise and the solution:
-            const exerciseTitle = stripPrefix(headingAccum.title, "Exercise:");
+            const exerciseTitle = stripPrefix(
+              headingAccum.title,
+              message("exercisePrefix")
+            );
 
-            // Anchor labels for the exercise and the solution:
+            // Anchor labels for the exercise and the solution.
+            // An explicit {#id} on the solution takes precedence:
             const exerciseLabel = headingAccum.label;
-            const solutionLabel = label("solution:", exerciseTitle);
+            const solutionLabel =
+              ident !== ""
+                ? ident
+                : label("solution", chapterAccum, sectionAccum, sectionCounter);
+
+            checkLabel(solutionLabel, exerciseTitle);
 
             const solution = new Solution(
               exerciseLabel,
               solutionLabel,
               exerciseTitle,
               exerciseCounter,
+              hintLabelsAccum,
               body
             );
 
             solutionAccum.push(solution);
 
-            return createLinks ? linkToSolution(solution) : [];
+            // Any hints after this belong to the next part of the exercise:
+            hintCounter = 0;
+            hintLabelsAccum = [];
+
+            return linkToSolution(solution, printable, message);
+          }
+
+          case "hint": {
+            chapterHintCounter = chapterHintCounter + 1;
+            hintCounter = hintCounter + 1;
+
+            const hintsPlacement = metadata.getString(
+              meta,
+              ["hints", "placement"],
+              "appendix"
+            );
+
+            // Hints belong to the solution that follows them,
+            // so we number them using that solution's label:
+            const exerciseTitle = stripPrefix(
+              headingAccum.title,
+              message("exercisePrefix")
+            );
+            const exerciseLabel = headingAccum.label;
+            const hintLabel =
+              ident !== ""
+                ? ident
+                : label(
+                    "hint",
+                    chapterAccum,
+                    sectionAccum,
+                    `${sectionCounter + 1}:${hintCounter}`
+                  );
+
+            checkLabel(hintLabel, exerciseTitle);
+            hintLabelsAccum.push(hintLabel);
+
+            const hint = new Hint(
+              exerciseLabel,
+              hintLabel,
+              exerciseTitle,
+              exerciseCounter + 1,
+              hintCounter,
+              body
+            );
+
+            if (hintsPlacement === "inline") {
+              const inlineHeadingTemplate = metadata.getString(
+                meta,
+                ["hints", "inlineHeadingTemplate"],
+                message("hint")
+              );
+
+              return inlineHint(hint, inlineHeadingTemplate);
+            }
+
+            if (chapterHintCounter === 1) {
+              hintAccum.push(chapterAccum);
+            }
+
+            hintAccum.push(hint);
+
+            return linkToHint(hint, printable, message);
+          }
+
+          case "hints": {
+            // Don't render a heading for an empty appendix:
+            if (hintAccum.length === 0) {
+              return [];
+            }
+
+            const hintsHeadingText = metadata.getString(
+              meta,
+              ["hints", "headingText"],
+              undefined
+            );
+
+            const hintsHeadingLevel = metadata.getInt(
+              meta,
+              ["hints", "headingLevel"],
+              1
+            );
+
+            const chapterHeadingTemplate = metadata.getString(
+              meta,
+              ["hints", "chapterHeadingTemplate"],
+              "$title"
+            );
+
+            const chapterHeadingLevel = metadata.getInt(
+              meta,
+              ["hints", "chapterHeadingLevel"],
+              2
+            );
+
+            const hintHeadingTemplate = metadata.getString(
+              meta,
+              ["hints", "hintHeadingTemplate"],
+              message("hintHeading")
+            );
+
+            const hintHeadingLevel = metadata.getInt(
+              meta,
+              ["hints", "hintHeadingLevel"],
+              3
+            );
+
+            let nodes =
+              hintsHeadingText == null
+                ? []
+                : [
+                    solutionsHeading(
+                      hintsHeadingText,
+                      hintsHeadingLevel,
+                      "hints"
+                    ),
+                  ];
+
+            for (let item of hintAccum) {
+              if (item instanceof Heading) {
+                nodes = [
+                  ...nodes,
+                  chapterHeading(
+                    item,
+                    chapterHeadingTemplate,
+                    chapterHeadingLevel
+                  ),
+                ];
+              } else if (item instanceof Hint) {
+                nodes = [
+                  ...nodes,
+                  hintHeading(
+                    item,
+                    hintHeadingTemplate,
+                    hintHeadingLevel,
+                    message
+                  ),
+                  ...item.body,
+                  linkToExercise(item, printable, message),
+                ];
+              }
+            }
+
+            return nodes;
           }
 
           case "solutions": {
+            // Optionally write a machine-readable list of exercises
+            // (see manifest.js):
+            const manifestFile = metadata.getString(
+              meta,
+              ["exerciseManifest"],
+              undefined
+            );
+
+            if (manifestFile != null) {
+              manifest.writeManifest(manifestFile, solutionAccum);
+            }
+
             const solutionsHeadingText = metadata.getString(
               meta,
               ["solutions", "headingText"],
@@ -259,7 +605,7 @@ function createFilter() {
             const solutionHeadingTemplate = metadata.getString(
               meta,
               ["solutions", "solutionHeadingTemplate"],
-              "Solution to: $title $part"
+              message("solutionHeading")
             );
 
             const solutionHeadingLevel = metadata.getInt(
@@ -289,17 +635,16 @@ function createFilter() {
                   ),
                 ];
               } else if (item instanceof Solution) {
-                const link = createLinks ? [linkToExercise(item)] : [];
-
                 nodes = [
                   ...nodes,
                   solutionHeading(
                     item,
                     solutionHeadingTemplate,
-                    solutionHeadingLevel
+                    solutionHeadingLevel,
+                    message
                   ),
                   ...item.body,
-                  ...link,
+                  linkToExercise(item, printable, message),
                 ];
               }
             }
@@ -312,5 +657,6 @@ function createFilter() {
 }
 
 module.exports = {
+  pageReference,
   createFilter,
 };
@@ -0,0 +1,184 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+
+/*
+Tables can have two hints in their attributes,
+which pandoc-crossref tables put next to their label:
+
+| Type class | Method    |
+|------------|-----------|
+| Functor    | `map`     |
+
+Table: Type classes {#tbl:type-classes widths="2,1" align="lc"}
+
+- `widths` gives the relative widths of the columns;
+
+- `align` gives the alignment of each column:
+  `l` (left), `c` (center), `r` (right), or `d` (default).
+
+pandoc-crossref runs before our filters and numbers the captions
+of tables with `tbl:` labels, so we keep their identifiers and captions.
+
+This module applies the hints. Each output format provides a renderer
+(see pdf/tables.js, html/tables.js, and epub/tables.js).
+Renderers wrap tables in other blocks, and pandoc.walk visits the
+children of the blocks we return, so we mark each table we've rendered
+with the "book-table" class and skip it the second time around.
+*/
+
+const markerClass = "book-table";
+
+const alignments = {
+  l: "AlignLeft",
+  c: "AlignCenter",
+  r: "AlignRight",
+  d: "AlignDefault",
+};
+
+// Parsing ---------------------------------------
+
+// string integer -> or(arrayOf(number), null)
+//
+// "2,1" -> [0.666..., 0.333...]
+function parseWidths(text, columns) {
+  const widths = text.split(",").map((part) => parseFloat(part));
+
+  if (widths.length !== columns || widths.some((w) => !(w > 0))) {
+    console.error(
+      `Table widths "${text}" should be ${columns} positive numbers.`
+    );
+    return null;
+  }
+
+  const total = widths.reduce((a, b) => a + b, 0);
+  return widths.map((w) => w / total);
+}
+
+// string integer -> or(arrayOf(string), null)
+//
+// "lc" -> ["AlignLeft", "AlignCenter"]
+function parseAligns(text, columns) {
+  const aligns = text.split("").map((letter) => alignments[letter]);
+
+  if (aligns.length !== columns || aligns.some((a) => a == null)) {
+    console.error(
+      `Table alignment "${text}" should be ${columns} of the letters lcrd.`
+    );
+    return null;
+  }
+
+  return aligns;
+}
+
+// Table helpers ---------------------------------
+
+// arrayOf(any) -> node
+function table(value) {
+  return pandoc.Table(...value);
+}
+
+// node -> arrayOf(string)
+//
+// The text of the last header row, one string per column:
+function columnLabels(node) {
+  const [attr, caption, colspecs, [headAttr, rows]] = node.c;
+  const last = rows[rows.length - 1];
+
+  if (last == null) {
+    return [];
+  }
+
+  const [rowAttr, cells] = last;
+
+  return cells.flatMap(([cellAttr, align, rowSpan, colSpan, blocks]) =>
+    _.range(colSpan).map(() => pandoc.stringify(blocks))
+  );
+}
+
+// node (cell integer -> cell) -> node
+//
+// Map over the cells of a table's bodies,
+// passing the index of each cell's first column:
+function mapBodyCells(node, f) {
+  const [attr, caption, colspecs, head, bodies, foot] = node.c;
+
+  const mapRow = ([rowAttr, cells]) => {
+    let column = 0;
+
+    return [
+      rowAttr,
+      cells.map((cell) => {
+        const ans = f(cell, column);
+        column += cell[3];
+        return ans;
+      }),
+    ];
+  };
+
+  return table([
+    attr,
+    caption,
+    colspecs,
+    head,
+    bodies.map(([bodyAttr, rowHeads, headRows, rows]) => [
+      bodyAttr,
+      rowHeads,
+      headRows.map(mapRow),
+      rows.map(mapRow),
+    ]),
+    foot,
+  ]);
+}
+
+// Hints -----------------------------------------
+
+// node -> node
+//
+// Apply the hints and mark the table as rendered:
+function applyHints(node) {
+  const [[ident, classes, kvs], caption, colspecs, ...rest] = node.c;
+
+  const widthsKv = _.find(kvs, ([key]) => key === "widths");
+  const alignKv = _.find(kvs, ([key]) => key === "align");
+  const otherKvs = kvs.filter(([key]) => key !== "widths" && key !== "align");
+
+  const widths =
+    widthsKv == null ? null : parseWidths(widthsKv[1], colspecs.length);
+  const aligns =
+    alignKv == null ? null : parseAligns(alignKv[1], colspecs.length);
+
+  const newColspecs = colspecs.map(([align, width], i) => [
+    aligns == null ? align : { t: aligns[i] },
+    widths == null ? width : { t: "ColWidth", c: widths[i] },
+  ]);
+
+  return table([
+    [ident, [...classes, markerClass], otherKvs],
+    caption,
+    newColspecs,
+    ...rest,
+  ]);
+}
+
+// Filter ----------------------------------------
+
+// (node meta -> or(node, arrayOf(node))) -> filter
+//
+// The renderer receives the table with its hints applied:
+function createFilter(render) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "Table") {
+      const [[ident, classes, kvs]] = value;
+
+      if (!classes.includes(markerClass)) {
+        return render(applyHints({ t: type, c: value }), meta);
+      }
+    }
+  };
+}
+
+module.exports = {
+  columnLabels,
+  mapBodyCells,
+  createFilter,
+};
@@ -0,0 +1,220 @@
+const fs = require("fs");
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const { identOf } = require("./identifiers");
+const metadata = require("./metadata");
+
+/*
+Checks the links and anchors in the book and reports:
+
+- links to anchors (`#id`) that don't exist,
+  and pandoc-crossref references it couldn't resolve
+  (which it renders as "¿sec:foo?");
+
+- identifiers used more than once;
+
+- reference-style link definitions (in links.md) that nothing links to;
+
+- solutions with no exercise heading above them to link back to
+  (solutions.js links each solution back to the heading above it,
+  which is a chapter heading if the exercise heading is missing);
+
+- links to external sites that aren't in our allowlist.
+  We never touch the network: the allowlist is a file of URL prefixes.
+
+The checks that need files are configured in metadata.yaml,
+and are skipped if the setting is missing:
+
+validation:
+  linkDefinitions: src/pages/links.md
+  urlAllowlist: src/meta/url-allowlist.txt
+
+Problems are warnings, unless the "strictValidation" metadata is true,
+in which case we fail the build after reporting them all.
+The `validate` task in build.sbt runs the checks in strict mode,
+at the end of the "validate" pipeline in pipeline.js,
+so they see the links and anchors the other filters add.
+*/
+
+// String helpers --------------------------------
+
+const definitionRegex = /^\[([^\]]+)\]:\s*<?([^\s>]+)>?/;
+
+// string -> arrayOf(object)
+//
+// The reference-style link definitions in a Markdown file:
+// [{ label, url }, ...]
+function parseDefinitions(text) {
+  return text
+    .split("\n")
+    .map((line) => line.match(definitionRegex))
+    .filter((match) => match != null)
+    .map(([unused, label, url]) => ({ label, url }));
+}
+
+// string -> arrayOf(string)
+//
+// The URL prefixes in an allowlist file, ignoring blank lines and comments:
+function parseAllowlist(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"));
+}
+
+// string -> boolean
+function isExternal(url) {
+  return /^https?:\/\//.test(url);
+}
+
+// Checking --------------------------------------
+
+// pandoc object -> arrayOf(string)
+//
+// Options:
+//
+// - definitions: arrayOf({ label, url }) from links.md, if any;
+// - allowlist: arrayOf(string) URL prefixes, if any.
+function createProblems(doc, options = {}) {
+  const problems = [];
+
+  // Identifiers and how often they occur, and the headings by identifier:
+  const idents = {};
+  const headings = {};
+
+  // Link targets in the order we find them:
+  const urls = [];
+
+  // Unresolved pandoc-crossref references:
+  const unresolved = [];
+
+  // The targets of the links from solutions back to their exercises:
+  const exerciseLinks = [];
+
+  pandoc.walkSync(
+    doc.blocks,
+    (node) => {
+      const ident = identOf(node);
+
+      if (ident != null && ident !== "") {
+        idents[ident] = (idents[ident] || 0) + 1;
+      }
+
+      const {t: type, c: value} = node;
+
+      switch (type) {
+        case "Header":
+          headings[value[1][0]] = node;
+          return;
+
+        case "Link":
+          if (value[0][1].includes("exercise-link")) {
+            exerciseLinks.push(value[2][0]);
+          }
+
+          urls.push(value[2][0]);
+          return;
+
+        case "Image":
+          urls.push(value[2][0]);
+          return;
+
+        case "Str": {
+          const match = value.match(/¿([^?]+)\?/);
+
+          if (match != null) {
+            unresolved.push(match[1]);
+          }
+
+          return;
+        }
+      }
+    },
+    "",
+    {}
+  );
+
+  for (const [ident, count] of Object.entries(idents)) {
+    if (count > 1) {
+      problems.push(`Duplicate identifier "${ident}" (used ${count} times).`);
+    }
+  }
+
+  for (const url of _.uniq(urls)) {
+    if (url.startsWith("#") && idents[url.substring(1)] == null) {
+      problems.push(`Link to missing anchor "${url}".`);
+    }
+  }
+
+  for (const ref of _.uniq(unresolved)) {
+    problems.push(`Unresolved cross-reference "${ref}".`);
+  }
+
+  // A solution that links back to a chapter heading
+  // is missing the heading for its exercise:
+  for (const url of exerciseLinks) {
+    const heading = headings[url.substring(1)];
+
+    if (heading != null && heading.c[0] === 1) {
+      const after = pandoc.stringify(heading.c[2]);
+      problems.push(`Solution after "${after}" has no exercise heading.`);
+    }
+  }
+
+  if (options.definitions != null) {
+    for (const { label, url } of options.definitions) {
+      if (!urls.includes(url)) {
+        problems.push(`Unused link definition "[${label}]: ${url}".`);
+      }
+    }
+  }
+
+  if (options.allowlist != null) {
+    for (const url of _.uniq(urls)) {
+      if (
+        isExternal(url) &&
+        !options.allowlist.some((prefix) => url.startsWith(prefix))
+      ) {
+        problems.push(`Link to "${url}" is not in the URL allowlist.`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// object string (string -> any) -> or(any, undefined)
+function readSetting(meta, key, parse) {
+  const file = metadata.getString(meta, ["validation", key]);
+  return file == null ? undefined : parse(fs.readFileSync(file, "utf8"));
+}
+
+function createFilter() {
+  return {
+    document: (doc, format, meta) => {
+      const problems = createProblems(doc, {
+        definitions: readSetting(meta, "linkDefinitions", parseDefinitions),
+        allowlist: readSetting(meta, "urlAllowlist", parseAllowlist),
+      });
+
+      for (const problem of problems) {
+        console.error(problem);
+      }
+
+      const strict = metadata.getBool(meta, ["strictValidation"], false);
+
+      if (strict && problems.length > 0) {
+        throw new Error(`Validation failed with ${problems.length} problems.`);
+      }
+
+      return doc;
+    },
+  };
+}
+
+module.exports = {
+  parseDefinitions,
+  parseAllowlist,
+  createProblems,
+  createFilter,
+};
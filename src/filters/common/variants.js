@@ -0,0 +1,140 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+const metadata = require("./metadata");
+
+/*
+Variants are divs of code blocks showing the same example
+in different versions of Scala:
+
+<div class="variants">
+```scala2
+implicit val showInt: Show[Int] = ...
+```
+```scala3
+given showInt: Show[Int] = ...
+```
+</div>
+
+Each block's first class names its variant.
+The filter runs after unwrap-code.js and merge-code.js,
+and gives each block the class of its language (`scala`)
+so pandoc and listings.js highlight it like any other Scala block.
+A `label` attribute overrides the label shown for the variant.
+
+The `variants.show` metadata chooses the variant
+the PDF and ePub show (e.g. "scala3"), or "all" to show every variant
+under its label. HTML shows every variant as a tab,
+and src/js/variants.js remembers the reader's choice across the book.
+
+This module parses variants. Each output format provides a renderer
+(see pdf/variants.js, html/variants.js, and epub/variants.js).
+*/
+
+const labels = {
+  scala2: "Scala 2",
+  scala3: "Scala 3",
+};
+
+const languages = {
+  scala2: "scala",
+  scala3: "scala",
+};
+
+// Data types ------------------------------------
+
+class Variant {
+  constructor(name, label, block) {
+    this.name = name; // string, e.g. "scala3"
+    this.label = label; // string, e.g. "Scala 3"
+    this.block = block; // node (the code block, in its language)
+  }
+}
+
+class Variants {
+  constructor(ident, kvs, variants) {
+    this.ident = ident; // string
+    this.kvs = kvs; // attributes of the div
+    this.variants = variants; // arrayOf(Variant)
+  }
+}
+
+// Parsing ---------------------------------------
+
+// node -> Variant
+function parseVariant(block) {
+  const [[ident, [name, ...classes], kvs], text] = block.c;
+  const labelKv = _.find(kvs, ([key]) => key === "label");
+  const otherKvs = kvs.filter(([key]) => key !== "label");
+
+  const label =
+    labelKv != null ? labelKv[1] : _.has(labels, name) ? labels[name] : name;
+
+  const language = _.has(languages, name) ? languages[name] : name;
+
+  return new Variant(
+    name,
+    label,
+    pandoc.CodeBlock([ident, [language, ...classes], otherKvs], text)
+  );
+}
+
+// attr arrayOf(node) -> Variants
+function parseVariants([ident, classes, kvs], body) {
+  const blocks = body.filter(
+    (block) => block.t === "CodeBlock" && block.c[0][1].length > 0
+  );
+
+  if (blocks.length < body.length) {
+    console.error(
+      `Variants "${ident}" contain blocks that aren't code ` +
+        `with a variant class. Ignoring them.`
+    );
+  }
+
+  return new Variants(ident, kvs, blocks.map(parseVariant));
+}
+
+// Choosing --------------------------------------
+
+// Variants meta -> arrayOf(Variant)
+//
+// The variants the PDF and ePub show:
+function chosen({ ident, variants }, meta) {
+  const show = metadata.getString(meta, ["variants", "show"], "all");
+
+  if (show === "all") {
+    return variants;
+  }
+
+  const matching = variants.filter((variant) => variant.name === show);
+
+  if (matching.length === 0) {
+    console.error(`Variants "${ident}" have no "${show}" variant.`);
+    return variants;
+  }
+
+  return matching;
+}
+
+// Filter ----------------------------------------
+
+// (Variants meta -> or(node, arrayOf(node))) -> filter
+function createFilter(render) {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "Div") {
+      const [[ident, classes, kvs], body] = value;
+
+      switch (classes && classes[0]) {
+        case "variants":
+          return render(parseVariants([ident, classes, kvs], body), meta);
+      }
+    }
+  };
+}
+
+module.exports = {
+  Variant,
+  Variants,
+  chosen,
+  createFilter,
+};
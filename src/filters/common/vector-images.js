@@ -1,20 +1,241 @@
+const fs = require("fs");
+const path = require("path");
 const pandoc = require("pandoc-filter");
+const metadata = require("./metadata");
 
-function createFilter(extension) {
+/*
+Picks the best version of each image for the output format.
+
+An image can name several variants with a "+"-separated list of extensions:
+
+    ![Type chart](src/pages/monads/option-flatmap.pdf+svg)
+
+Each target has an order of preference:
+
+- the PDF uses the pdf, then png, then svg;
+
+- HTML uses the svg, with a png fallback in a <picture> element
+  if there is one, or the png;
+
+- the ePub uses the svg, with a png fallback in an <object> element
+  (the EPUB 3 way to give a fallback, which e-readers that can't render SVG
+  show instead) if there is one, or the png.
+  Pandoc only embeds the files of images and <img> elements,
+  so epub/objects.js embeds the objects' SVGs after the build.
+
+PNGs can also come from the raster directory
+(the "images.rasterDir" metadata), where the build renders every SVG
+(see `rasterImages` in build.sbt). A high resolution PNG
+next to a PNG (`foo@2x.png` next to `foo.png`) goes in the HTML srcset.
+
+Width, height, and other attributes are kept as written in the Markdown.
+We warn about variants that are missing on disk.
+*/
+
+const preferences = {
+  pdf: ["pdf", "png", "svg"],
+  html: ["svg", "png"],
+  epub: ["svg", "png"],
+};
+
+// String helpers --------------------------------
+
+// string -> string
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// string -> or(string, null)
+//
+// "foo.png" -> "foo@2x.png"
+function retinaOf(file) {
+  const retina = file.replace(/[.]png$/i, "@2x.png");
+  return retina !== file && fs.existsSync(retina) ? retina : null;
+}
+
+// Variants --------------------------------------
+
+// string or(string, undefined) -> or(object, null)
+//
+// The variants of an image that exist on disk, keyed by extension,
+// or null if the filename doesn't name variants:
+function variantsOf(filename, rasterDir) {
+  const match = filename.match(/^(.*)[.]([a-z0-9]+(?:[+][a-z0-9]+)+)$/i);
+
+  if (match == null) {
+    return null;
+  }
+
+  const [unused, basename, extensions] = match;
+  const variants = {};
+
+  for (const ext of extensions.toLowerCase().split("+")) {
+    const file = `${basename}.${ext}`;
+
+    if (fs.existsSync(file)) {
+      variants[ext] = file;
+    } else {
+      console.error(`Missing image variant "${file}".`);
+    }
+  }
+
+  if (variants.png == null && rasterDir != null) {
+    const raster = path.join(rasterDir, `${basename}.png`);
+
+    if (fs.existsSync(raster)) {
+      variants.png = raster;
+    }
+  }
+
+  // If nothing exists, carry on with the names we were given:
+  if (Object.keys(variants).length === 0) {
+    for (const ext of extensions.toLowerCase().split("+")) {
+      variants[ext] = `${basename}.${ext}`;
+    }
+  }
+
+  return variants;
+}
+
+// Node helpers ----------------------------------
+
+// arrayOf(array) -> string
+//
+// Pandoc writes pixel sizes as attributes and other sizes as styles:
+function sizeAttributes(kvs) {
+  const attrs = [];
+  const styles = [];
+
+  for (const [key, value] of kvs) {
+    if (key !== "width" && key !== "height") {
+      attrs.push(`${key}="${escapeHtml(value)}"`);
+    } else if (/^\d+(px)?$/.test(value)) {
+      attrs.push(`${key}="${value.replace(/px$/, "")}"`);
+    } else {
+      styles.push(`${key}:${value}`);
+    }
+  }
+
+  if (styles.length > 0) {
+    attrs.push(`style="${escapeHtml(styles.join(";"))}"`);
+  }
+
+  return attrs.map((attr) => ` ${attr}`).join("");
+}
+
+// string string -> string
+function srcset(png, retina) {
+  return retina == null ? png : `${png} 1x, ${retina} 2x`;
+}
+
+// attr arrayOf(node) -> object
+//
+// The id and class attributes, the alt text,
+// and the other attributes of an image as HTML:
+function htmlAttributes([ident, classes, kvs], inlines) {
+  const idAttr = ident === "" ? "" : ` id="${escapeHtml(ident)}"`;
+  const classAttr =
+    classes.length === 0 ? "" : ` class="${escapeHtml(classes.join(" "))}"`;
+  const altKv = kvs.find(([key, unused]) => key === "alt");
+  const alt = escapeHtml(altKv != null ? altKv[1] : pandoc.stringify(inlines));
+  const otherKvs = kvs.filter(([key, unused]) => key !== "alt");
+
+  return {
+    ids: `${idAttr}${classAttr}`,
+    alt,
+    others: sizeAttributes(otherKvs),
+  };
+}
+
+// attr arrayOf(node) string string or(string, null) -> node
+function picture(attr, inlines, svg, png, retina) {
+  const { ids, alt, others } = htmlAttributes(attr, inlines);
+
+  return pandoc.RawInline(
+    "html",
+    `<picture>` +
+      `<source srcset="${escapeHtml(svg)}" type="image/svg+xml" />` +
+      `<img src="${escapeHtml(png)}"` +
+      ` srcset="${escapeHtml(srcset(png, retina))}"` +
+      `${ids} alt="${alt}"${others} />` +
+      `</picture>`
+  );
+}
+
+// attr arrayOf(node) string string -> node
+//
+// The object has the alt text as its label for screen readers,
+// which don't look inside it:
+function object(attr, inlines, svg, png) {
+  const { ids, alt, others } = htmlAttributes(attr, inlines);
+
+  return pandoc.RawInline(
+    "html",
+    `<object data="${escapeHtml(svg)}" type="image/svg+xml"` +
+      `${ids} role="img" aria-label="${alt}"${others}>` +
+      `<img src="${escapeHtml(png)}" alt="${alt}"${others} />` +
+      `</object>`
+  );
+}
+
+// string -> filter
+//
+// The target is "pdf", "html", or "epub":
+function createFilter(target) {
   return function ({t: type, c: value}, format, meta) {
-    if (type === "Image") {
-      const [caption, inline, [filename, prefix]] = value;
+    if (type !== "Image") {
+      return;
+    }
+
+    const [[ident, classes, kvs], inlines, [filename, title]] = value;
+    const rasterDir = metadata.getString(meta, ["images", "rasterDir"]);
+    const variants = variantsOf(filename, rasterDir);
+
+    if (variants == null) {
+      if (/^[a-z]+:/i.test(filename)) {
+        return; // a URL or data URI
+      } else if (!fs.existsSync(filename)) {
+        console.error(`Missing image "${filename}".`);
+        return;
+      }
+    }
 
-      const match = filename.match(/^(.*)[.]pdf[+]svg$/i);
+    const [best] =
+      variants == null
+        ? [filename]
+        : preferences[target]
+            .map((ext) => variants[ext])
+            .concat(Object.values(variants))
+            .filter((file) => file != null);
 
-      if (match != null) {
-        const basename = match[1];
-        return pandoc.Image(caption, inline, [
-          `${basename}.${extension}`,
-          prefix,
-        ]);
+    const png = variants == null ? filename : variants.png;
+    const retina = png != null && /[.]png$/i.test(png) ? retinaOf(png) : null;
+
+    if (variants == null && (target !== "html" || retina == null)) {
+      return;
+    }
+
+    if (variants != null && best === variants.svg && png != null) {
+      if (target === "html") {
+        return picture([ident, classes, kvs], inlines, best, png, retina);
+      } else if (target === "epub") {
+        return object([ident, classes, kvs], inlines, best, png);
       }
     }
+
+    const srcsetKvs =
+      target === "html" && best === png && retina != null
+        ? [["srcset", srcset(best, retina)]]
+        : [];
+
+    return pandoc.Image([ident, classes, [...kvs, ...srcsetKvs]], inlines, [
+      best,
+      title,
+    ]);
   };
 }
 
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const pandoc = require("pandoc-filter");
+const messages = require("./messages");
+const metadata = require("./metadata");
+
+/*
+Exports the book's mdoc code as Scala worksheets that students can open
+in an IDE. This filter runs over the mdoc *input* (src/pages),
+so code blocks still carry their modifiers:
+
+```scala mdoc:reset:silent
+...
+```
+
+It doesn't rewrite the document. Instead it writes files under the
+directory named in the "worksheetsDir" metadata (and does nothing if
+that isn't set). The worksheets build runs it in a pipeline of its own
+without unwrap-code.js and merge-code.js (see pipeline.js),
+so the worksheets hold the code as the book's source writes it:
+
+- `NN-chapter/MM-section.worksheet.sc` holds the code from a chapter,
+  starting a new worksheet at every `reset`, `reset-object`,
+  or `reset-class` boundary;
+
+- `mdoc:fail` and `mdoc:crash` snippets are commented out,
+  because they deliberately don't compile or run;
+
+- code from `div.solution` goes to
+  `solutions/NN-chapter/MM-exercise.worksheet.sc` instead.
+
+Code blocks without an mdoc modifier are illustrations, not runnable code,
+so we skip them.
+*/
+
+// String helpers --------------------------------
+
+// string -> string
+//
+// Letters in any alphabet are kept, so translated books get slugs too:
+function slugify(text) {
+  return text
+    .replace(/^[a-z]+:/, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// string string -> string
+//
+// "Exercise: Show Your Working" -> "Show Your Working"
+function withoutPrefix(text, prefix) {
+  return text.startsWith(prefix) ? text.substring(prefix.length) : text;
+}
+
+// integer -> string
+function pad(number) {
+  return `${number}`.padStart(2, "0");
+}
+
+// File helpers ----------------------------------
+
+const worksheetRegex = /[.]worksheet[.]sc$/;
+
+// string -> undefined
+//
+// Delete the worksheets a previous run wrote, so deleted examples
+// don't linger, and any directories that leaves empty.
+// We only delete worksheets: the directory may hold other files
+// (e.g. the sbt build the worksheets task adds),
+// and a mistyped worksheetsDir mustn't wipe anything else:
+function removeWorksheets(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      removeWorksheets(file);
+
+      if (fs.readdirSync(file).length === 0) {
+        fs.rmdirSync(file);
+      }
+    } else if (worksheetRegex.test(entry.name)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+// arrayOf(node) -> string
+function textOf(inlines) {
+  return pandoc.stringify(inlines);
+}
+
+// attr -> or(arrayOf(string), null)
+//
+// The mdoc modifiers on a code block,
+// or null if it isn't an mdoc block at all.
+// "mdoc:reset:silent" yields ["reset", "silent"]:
+function modifiersOf([ident, classes, kvs]) {
+  const mdoc = classes.find((c) => c === "mdoc" || c.startsWith("mdoc:"));
+  return mdoc == null ? null : mdoc.split(":").slice(1);
+}
+
+// string arrayOf(string) -> string
+function snippet(code, modifiers) {
+  if (modifiers.includes("fail") || modifiers.includes("crash")) {
+    const reason = modifiers.includes("fail")
+      ? "does not compile"
+      : "throws an exception";
+
+    return [
+      `// This example ${reason}:`,
+      ...code.split("\n").map((line) => `// ${line}`.trimEnd()),
+    ].join("\n");
+  } else {
+    return code;
+  }
+}
+
+function createFilter() {
+  // Accumulators ----------------------------------
+
+  let started = false;
+
+  // Slugs and indices of the current chapter and section.
+  // We name files after these:
+  let chapterIndex = 0;
+  let chapterSlug = "";
+  let sectionSlug = "";
+  let exerciseSlug = "";
+
+  let worksheetIndex = 0; // index of worksheet in this chapter
+  let solutionIndex = 0; // index of solution in this chapter
+
+  // or(string, null)
+  //
+  // The worksheet we're appending code to:
+  let worksheet = null;
+
+  // setOf(array)
+  //
+  // The values of code blocks inside solutions.
+  // We write these when we see the solution,
+  // so we skip them when we visit them later:
+  const solutionCode = new Set();
+
+  // string string -> undefined
+  function append(file, code) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, (fs.existsSync(file) ? "\n" : "") + code + "\n");
+  }
+
+  // string -> string
+  function newWorksheet(outputDir) {
+    worksheetIndex = worksheetIndex + 1;
+
+    return path.join(
+      outputDir,
+      `${pad(chapterIndex)}-${chapterSlug}`,
+      `${pad(worksheetIndex)}-${sectionSlug || chapterSlug}.worksheet.sc`
+    );
+  }
+
+  // Tree walkin' ----------------------------------
+
+  return function ({t: type, c: value}, format, meta) {
+    const outputDir = metadata.getString(meta, ["worksheetsDir"], undefined);
+
+    if (outputDir == null) {
+      return;
+    }
+
+    if (!started) {
+      removeWorksheets(outputDir);
+      started = true;
+    }
+
+    switch (type) {
+      case "Header": {
+        const [level, [ident, classes, kvs], body] = value;
+        const slug = slugify(ident !== "" ? ident : textOf(body));
+
+        if (level === 1) {
+          chapterIndex = chapterIndex + 1;
+          chapterSlug = slug;
+          sectionSlug = "";
+          worksheetIndex = 0;
+          solutionIndex = 0;
+          worksheet = null;
+        } else if (level === 2) {
+          sectionSlug = slug;
+        }
+
+        // Exercise headings start with the prefix in the book's language:
+        const prefix = messages.forMeta(meta)("exercisePrefix");
+        exerciseSlug = slugify(withoutPrefix(textOf(body), prefix));
+        return;
+      }
+
+      case "Div": {
+        const [[ident, classes, kvs], body] = value;
+
+        if (classes[0] !== "solution") {
+          return;
+        }
+
+        solutionIndex = solutionIndex + 1;
+
+        const file = path.join(
+          outputDir,
+          "solutions",
+          `${pad(chapterIndex)}-${chapterSlug}`,
+          `${pad(solutionIndex)}-${exerciseSlug}.worksheet.sc`
+        );
+
+        pandoc.walkSync(
+          body,
+          ({t: type, c: value}) => {
+            if (type === "CodeBlock") {
+              const modifiers = modifiersOf(value[0]);
+              solutionCode.add(value);
+
+              if (modifiers != null) {
+                append(file, snippet(value[1], modifiers));
+              }
+            }
+          },
+          format,
+          meta
+        );
+
+        return;
+      }
+
+      case "CodeBlock": {
+        const [attr, code] = value;
+        const modifiers = modifiersOf(attr);
+
+        if (modifiers == null || solutionCode.has(value)) {
+          return;
+        }
+
+        const reset = modifiers.some((m) => m.startsWith("reset"));
+
+        if (worksheet == null || reset) {
+          worksheet = newWorksheet(outputDir);
+        }
+
+        append(worksheet, snippet(code, modifiers));
+        return;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFilter,
+};
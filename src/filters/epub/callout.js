@@ -0,0 +1,48 @@
+const pandoc = require("pandoc-filter");
+const callout = require("../common/callout");
+
+// EPUB 3 semantics and the matching ARIA role for each kind.
+// Asides are tips, like info callouts:
+function semantics(kind) {
+  switch (kind) {
+    case "danger":
+    case "warning":
+      return [
+        ["epub:type", "notice"],
+        ["role", "doc-notice"],
+      ];
+    default:
+      return [
+        ["epub:type", "tip"],
+        ["role", "doc-tip"],
+      ];
+  }
+}
+
+// Many e-readers ignore ARIA attributes and lack glyphs for icons,
+// so we stick to plain markup and a bold title paragraph
+// (the semantics are for accessibility checkers and assistive technology):
+function render({ ident, kind, title, kvs, body }) {
+  const titleBlocks =
+    title == null
+      ? []
+      : [
+          pandoc.Div(
+            ["", ["callout-title"], []],
+            [pandoc.Para([pandoc.Strong([pandoc.Str(title)])])]
+          ),
+        ];
+
+  return pandoc.Div(
+    [ident, ["callout", `callout-${kind}`], [...kvs, ...semantics(kind)]],
+    [...titleBlocks, ...body]
+  );
+}
+
+function createFilter() {
+  return callout.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
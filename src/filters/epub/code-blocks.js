@@ -0,0 +1,15 @@
+const codeBlocks = require("../common/code-blocks");
+
+// The same markup as HTML. E-readers have no JavaScript,
+// so the callout markers in the code are plain text:
+function createFilter() {
+  let counter = 0;
+
+  return codeBlocks.createFilter((listing, list, meta) =>
+    codeBlocks.htmlBlocks(listing, list, `code-${++counter}`)
+  );
+}
+
+module.exports = {
+  createFilter,
+};
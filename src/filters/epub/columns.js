@@ -0,0 +1,18 @@
+const pandoc = require("pandoc-filter");
+const columns = require("../common/columns");
+
+// E-readers paginate narrow screens, so columns render one after another:
+function render(ident, kvs, body) {
+  return pandoc.Div(
+    [ident, ["columns"], kvs],
+    body.map((col) => columns.asColumn(col, "column"))
+  );
+}
+
+function createFilter() {
+  return columns.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
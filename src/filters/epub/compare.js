@@ -0,0 +1,25 @@
+const pandoc = require("pandoc-filter");
+const compare = require("../common/compare");
+
+// E-readers have narrow screens and no JavaScript,
+// so the code blocks render one after another under their labels:
+function render({ ident, kvs, panels }) {
+  return pandoc.Div(
+    [ident, ["compare"], kvs],
+    panels.flatMap((panel) => [
+      pandoc.Div(
+        ["", ["compare-label"], []],
+        [pandoc.Para([pandoc.Strong([pandoc.Str(panel.label)])])]
+      ),
+      panel.block,
+    ])
+  );
+}
+
+function createFilter() {
+  return compare.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
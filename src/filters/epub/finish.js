@@ -0,0 +1,57 @@
+const fs = require("fs");
+const JSZip = require("jszip");
+
+const nav = require("./nav");
+const objects = require("./objects");
+
+/*
+Makes the changes to the ePub that pandoc can't make itself.
+The epub build runs this on pandoc's output:
+
+    node src/filters/epub/finish.js dist/scala-with-cats.epub
+
+- objects.js embeds the SVGs of images with a PNG fallback;
+
+- nav.js adds the page list and the back matter landmarks
+  to the nav document.
+*/
+
+const steps = [objects.embedObjects, nav.addNavigation];
+
+// JSZip -> Promise(JSZip)
+async function finish(zip) {
+  for (const step of steps) {
+    await step(zip);
+  }
+
+  // The mimetype has to stay the first file, uncompressed:
+  const mimetype = await zip.file("mimetype").async("string");
+  zip.file("mimetype", mimetype, { compression: "STORE" });
+
+  return zip;
+}
+
+// string -> Promise(undefined)
+async function finishFile(filename) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filename));
+  await finish(zip);
+
+  const data = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+
+  fs.writeFileSync(filename, data);
+}
+
+if (require.main === module) {
+  finishFile(process.argv[2]).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  finish,
+  finishFile,
+};
@@ -0,0 +1,190 @@
+const path = require("path");
+
+const messages = require("../../messages");
+const { attribute, readFile, readPackage } = require("./package");
+
+/*
+Adds a page list and the back matter landmarks
+to the nav document of a finished ePub.
+
+Pandoc writes the nav document itself and doesn't let us add to it,
+so this is one of the steps epub/finish.js runs on pandoc's output:
+
+- the page list links to the page break markers
+  that epub/semantics.js puts in the text;
+
+- the landmarks get the start of the book's body
+  and the appendices and index that epub/semantics.js marks up,
+  unless pandoc's landmarks already have them.
+
+Running it again replaces the page list and leaves the landmarks alone.
+*/
+
+// The epub:types of the sections we list as landmarks:
+const landmarkTypes = ["appendix", "index"];
+
+// Markup helpers --------------------------------
+
+// string -> string
+//
+// The text of a heading, without the section number spans and the like:
+function headingText(html) {
+  return html
+    .replace(/<[^>]*>/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Content ---------------------------------------
+
+// string string -> arrayOf(object)
+//
+// The page break markers in a content document:
+function pagesIn(file, html) {
+  return Array.from(html.matchAll(/<span\b[^>]*>/g))
+    .map(([tag]) => tag)
+    .filter((tag) => attribute(tag, "epub:type") === "pagebreak")
+    .map((tag) => ({
+      href: `${file}#${attribute(tag, "id")}`,
+      label: attribute(tag, "aria-label") || attribute(tag, "title"),
+    }));
+}
+
+// string string -> arrayOf(object)
+//
+// The landmarks in a content document: the start of the body
+// (template.epub.html gives each chapter's body pandoc's epub:type),
+// and the sections that start with a heading and have a landmark type:
+function landmarksIn(file, html) {
+  const ans = [];
+  const body = /<body\b[^>]*>/.exec(html);
+
+  if (body != null && attribute(body[0], "epub:type") === "bodymatter") {
+    const heading = /<h1\b[^>]*>([\s\S]*?)<\/h1>/.exec(html);
+
+    ans.push({
+      type: "bodymatter",
+      href: file,
+      title: heading == null ? "" : headingText(heading[1]),
+    });
+  }
+
+  const sections = /<section\b([^>]*)>\s*<h1\b[^>]*>([\s\S]*?)<\/h1>/g;
+
+  for (const [unused, attrs, heading] of html.matchAll(sections)) {
+    const type = attribute(attrs, "epub:type");
+    const ident = attribute(attrs, "id");
+
+    if (landmarkTypes.includes(type)) {
+      ans.push({
+        type,
+        href: ident == null ? file : `${file}#${ident}`,
+        title: headingText(heading),
+      });
+    }
+  }
+
+  return ans;
+}
+
+// Nav document ----------------------------------
+
+// string string object -> string
+function listItem(navDir, entry, epubType) {
+  const href = path.posix.relative(navDir, entry.href.split("#")[0]);
+  const hash = entry.href.includes("#")
+    ? entry.href.substring(entry.href.indexOf("#"))
+    : "";
+  const typeAttr = epubType == null ? "" : ` epub:type="${epubType}"`;
+
+  return `<li><a href="${href}${hash}"${typeAttr}>${entry.title}</a></li>`;
+}
+
+// string string arrayOf(object) -> string
+//
+// Adds the landmarks pandoc's landmarks nav doesn't already have.
+// Only the first chapter's body is the start of the body:
+function addLandmarks(nav, navDir, landmarks) {
+  const existing = /<nav\b[^>]*epub:type="landmarks"[^>]*>[\s\S]*?<\/nav>/;
+  const found = existing.exec(nav);
+  const known = found == null ? "" : found[0];
+
+  const bodymatter = landmarks.find(({ type }) => type === "bodymatter");
+  const others = landmarks.filter(({ type }) => type !== "bodymatter");
+
+  const items = (bodymatter == null ? others : [bodymatter, ...others])
+    .filter(({ type }) => !known.includes(`epub:type="${type}"`))
+    .map((entry) => listItem(navDir, entry, entry.type));
+
+  if (items.length === 0) {
+    return nav;
+  } else if (found == null) {
+    const landmarksNav =
+      `<nav epub:type="landmarks" id="landmarks" hidden="hidden">\n` +
+      `<ol>\n${items.join("\n")}\n</ol>\n</nav>\n`;
+
+    return nav.replace(/<\/body>/, () => `${landmarksNav}</body>`);
+  } else {
+    const updated = found[0].replace(
+      /<\/ol>(?![\s\S]*<\/ol>)/,
+      () => `${items.join("\n")}\n</ol>`
+    );
+
+    return nav.replace(found[0], () => updated);
+  }
+}
+
+// string string arrayOf(object) string -> string
+function addPageList(nav, navDir, pages, heading) {
+  const withoutOld = nav.replace(
+    /<nav\b[^>]*epub:type="page-list"[^>]*>[\s\S]*?<\/nav>\n?/,
+    ""
+  );
+
+  if (pages.length === 0) {
+    return withoutOld;
+  }
+
+  const items = pages.map(({ href, label }) =>
+    listItem(navDir, { href, title: label })
+  );
+
+  const pageList =
+    `<nav epub:type="page-list" id="page-list" hidden="hidden">\n` +
+    `<h1>${heading}</h1>\n<ol>\n${items.join("\n")}\n</ol>\n</nav>\n`;
+
+  return withoutOld.replace(/<\/body>/, () => `${pageList}</body>`);
+}
+
+// Main ------------------------------------------
+
+// JSZip -> Promise(JSZip)
+async function addNavigation(zip) {
+  const { navPath, spine, lang } = await readPackage(zip);
+  const message = messages.forLang(lang);
+  const navDir = path.posix.dirname(navPath);
+
+  let pages = [];
+  let landmarks = [];
+
+  for (const file of spine) {
+    const html = await readFile(zip, file);
+    pages = pages.concat(pagesIn(file, html));
+    landmarks = landmarks.concat(landmarksIn(file, html));
+  }
+
+  const nav = await readFile(zip, navPath);
+  const updated = addPageList(
+    addLandmarks(nav, navDir, landmarks),
+    navDir,
+    pages,
+    message("pageList")
+  );
+
+  zip.file(navPath, updated);
+  return zip;
+}
+
+module.exports = {
+  addNavigation,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+
+const { attribute, readFile, readPackage } = require("./package");
+
+/*
+Embeds the SVGs of the <object> elements that common/vector-images.js
+writes for images with a PNG fallback.
+
+Pandoc embeds the fallback <img> but not the object's data,
+which is still the path of the SVG in the repo.
+We copy each SVG into the ePub, add it to the manifest,
+and point the objects at the copy.
+
+This is one of the steps epub/finish.js runs on pandoc's output.
+Objects that already point into the ePub are left alone,
+so it can run twice.
+*/
+
+// JSZip string -> Promise(JSZip)
+//
+// The object paths are relative to the base directory,
+// where pandoc was run:
+async function embedObjects(zip, baseDir = ".") {
+  const { opfPath, items, spine } = await readPackage(zip);
+  const opfDir = path.posix.dirname(opfPath);
+  const known = new Set(Object.values(items));
+  const embedded = {}; // The ePub path of each SVG we've copied
+  const newItems = [];
+
+  for (const file of spine) {
+    const html = await readFile(zip, file);
+    const fileDir = path.posix.dirname(file);
+
+    const updated = html.replace(/<object\b[^>]*>/g, (tag) => {
+      const data = attribute(tag, "data");
+
+      if (
+        data == null ||
+        /^[a-z]+:/i.test(data) ||
+        known.has(path.posix.join(fileDir, data))
+      ) {
+        return tag;
+      }
+
+      if (embedded[data] == null) {
+        const source = path.resolve(baseDir, data);
+
+        if (!fs.existsSync(source)) {
+          console.error(`Missing object data "${data}".`);
+          return tag;
+        }
+
+        const id = `object${newItems.length + 1}`;
+        const target = path.posix.join(
+          opfDir,
+          "media",
+          `${id}${path.extname(data)}`
+        );
+
+        zip.file(target, fs.readFileSync(source));
+        newItems.push(
+          `<item id="${id}" href="${path.posix.relative(opfDir, target)}"` +
+            ` media-type="${attribute(tag, "type")}" />`
+        );
+        embedded[data] = target;
+      }
+
+      const href = path.posix.relative(fileDir, embedded[data]);
+      return tag.replace(/\sdata="[^"]*"/, () => ` data="${href}"`);
+    });
+
+    if (updated !== html) {
+      zip.file(file, updated);
+    }
+  }
+
+  if (newItems.length > 0) {
+    const opf = await readFile(zip, opfPath);
+
+    zip.file(
+      opfPath,
+      opf.replace(/<\/manifest>/, () => `${newItems.join("\n")}\n</manifest>`)
+    );
+  }
+
+  return zip;
+}
+
+module.exports = {
+  embedObjects,
+};
@@ -0,0 +1,87 @@
+const path = require("path");
+
+/*
+Reads the parts of a finished ePub (a JSZip)
+that the steps in epub/finish.js work on:
+the package document (content.opf), its manifest, and its spine.
+
+Pandoc writes these files, so we match its markup with regular expressions
+rather than parse it.
+*/
+
+// Markup helpers --------------------------------
+
+// string string -> or(string, null)
+function attribute(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match == null ? null : match[1];
+}
+
+// Files -----------------------------------------
+
+// JSZip string -> Promise(string)
+async function readFile(zip, name) {
+  const file = zip.file(name);
+
+  if (file == null) {
+    throw new Error(`The ePub has no ${name}`);
+  }
+
+  return file.async("string");
+}
+
+// JSZip -> Promise(object)
+//
+// The path of the package document, the paths of the manifest items
+// keyed by their ids, the path of the nav document,
+// the paths of the content documents in reading order,
+// and the book's language:
+async function readPackage(zip) {
+  const container = await readFile(zip, "META-INF/container.xml");
+  const rootfile = /<rootfile\b[^>]*>/.exec(container);
+  const opfPath = rootfile == null ? null : attribute(rootfile[0], "full-path");
+
+  if (opfPath == null) {
+    throw new Error("The ePub's container.xml names no package document");
+  }
+
+  const opf = await readFile(zip, opfPath);
+  const dir = path.posix.dirname(opfPath);
+  const items = {};
+  let navPath = null;
+
+  for (const [tag] of opf.matchAll(/<item\b[^>]*>/g)) {
+    const href = path.posix.join(dir, attribute(tag, "href"));
+    const properties = attribute(tag, "properties") || "";
+
+    items[attribute(tag, "id")] = href;
+
+    if (properties.split(/\s+/).includes("nav")) {
+      navPath = href;
+    }
+  }
+
+  if (navPath == null) {
+    throw new Error("The ePub has no nav document");
+  }
+
+  const spine = Array.from(opf.matchAll(/<itemref\b[^>]*>/g))
+    .map(([tag]) => items[attribute(tag, "idref")])
+    .filter((href) => href != null && href !== navPath);
+
+  const language = /<dc:language\b[^>]*>([^<]*)</.exec(opf);
+
+  return {
+    opfPath,
+    items,
+    navPath,
+    spine,
+    lang: language == null ? null : language[1].trim(),
+  };
+}
+
+module.exports = {
+  attribute,
+  readFile,
+  readPackage,
+};
@@ -0,0 +1,417 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+
+/*
+Adds EPUB 3 structural semantics (`epub:type`)
+and the matching ARIA roles that accessibility checkers like Ace expect:
+
+- the links from exercises to hints and solutions become noterefs,
+  and the links back become backlinks;
+
+- each hint and solution in the appendices,
+  including the ones nested in callouts and lists,
+  is wrapped in a footnote aside that takes over its heading's id
+  (the heading becomes a bold paragraph; see noteTitle),
+  so reading systems can show it in a pop-up
+  (DPUB-ARIA only allows doc-footnote on asides, headers, and footers,
+  and pandoc has no aside block, so the tags are raw HTML);
+
+- the hints and solutions appendices and the index
+  are marked as back matter (pandoc moves the epub:type
+  from a chapter heading to the chapter's section);
+
+- the text is divided into pages of about 300 words
+  by page break markers (`epub:type="pagebreak"`)
+  so readers can cite and jump to a page number.
+  The ePub has no print pages to follow,
+  so these are the ePub's own page numbers;
+
+- figures get alt text from their caption if they have none,
+  and images with their own alt text are described by the caption
+  (`aria-describedby`).
+
+Callouts get their semantics in epub/callout.js.
+This filter runs after solutions.js,
+which gives the exercise, hint, and solution links their classes.
+
+Pandoc writes the nav document before we see the ePub,
+so epub/nav.js adds the page list and the back matter landmarks
+to it after the build.
+*/
+
+// The epub:type of the sections that start with these headings:
+const sectionTypes = {
+  hints: "appendix",
+  solutions: "appendix",
+  "book-index": "index",
+};
+
+// The approximate number of words on a page:
+const pageWords = 300;
+
+// Marks the notes until they become asides:
+const noteClass = "epub-note";
+
+// Node helpers ----------------------------------
+
+// string string -> arrayOf(array)
+function semantics(epubType, role) {
+  return [
+    ["epub:type", epubType],
+    ["role", role],
+  ];
+}
+
+// node -> or(string, null)
+//
+// The epub:type for a link between an exercise and its hints or solutions:
+function linkType(link) {
+  const classes = link.c[0][1];
+
+  if (classes.includes("hint-link") || classes.includes("solution-link")) {
+    return "noteref";
+  } else if (classes.includes("exercise-link")) {
+    return "backlink";
+  } else {
+    return null;
+  }
+}
+
+// node -> boolean
+function containsBacklink(block) {
+  let found = false;
+
+  pandoc.walkSync(
+    block,
+    (node) => {
+      if (node.t === "Link" && linkType(node) === "backlink") {
+        found = true;
+      }
+    },
+    "",
+    {}
+  );
+
+  return found;
+}
+
+// Figures ---------------------------------------
+
+// node integer -> node
+//
+// Figures created from Markdown images have the caption as the alt text.
+// Images with no alt text get the caption,
+// and images with alt text of their own (`{alt="..."}`)
+// point to the caption instead:
+function describeFigure(figure, index) {
+  const [[ident, classes, kvs], [short, caption], body] = figure.c;
+  const captionText = pandoc.stringify(caption);
+
+  if (captionText === "") {
+    return figure;
+  }
+
+  const captionId = `${ident !== "" ? ident : `figure-${index}`}-caption`;
+  let described = false;
+
+  const newBody = pandoc.walkSync(
+    body,
+    ({t: type, c: value}) => {
+      if (type !== "Image") {
+        return;
+      }
+
+      const [[imgIdent, imgClasses, imgKvs], alt, target] = value;
+      const altKv = imgKvs.find(([key, unused]) => key === "alt");
+      const altText = altKv != null ? altKv[1] : pandoc.stringify(alt);
+
+      // An explicit empty alt attribute marks a decorative image:
+      if (altKv == null && altText === "") {
+        return pandoc.Image(
+          [imgIdent, imgClasses, imgKvs],
+          caption.flatMap((block) => block.c),
+          target
+        );
+      } else if (altText !== captionText) {
+        described = true;
+
+        return pandoc.Image(
+          [imgIdent, imgClasses, [...imgKvs, ["aria-describedby", captionId]]],
+          alt,
+          target
+        );
+      }
+    },
+    "",
+    {}
+  );
+
+  const newCaption = described
+    ? caption.map((block) =>
+        block.t === "Plain" || block.t === "Para"
+          ? { t: block.t, c: [pandoc.Span([captionId, [], []], block.c)] }
+          : block
+      )
+    : caption;
+
+  return pandoc.Figure([ident, classes, kvs], [short, newCaption], newBody);
+}
+
+// Notes -----------------------------------------
+
+// arrayOf(node) -> arrayOf(string)
+//
+// The ids of the hints and solutions the book links to:
+function noteTargets(blocks) {
+  const targets = [];
+
+  pandoc.walkSync(
+    blocks,
+    (node) => {
+      if (node.t === "Link" && linkType(node) === "noteref") {
+        targets.push(node.c[2][0].substring(1));
+      }
+    },
+    "",
+    {}
+  );
+
+  return _.uniq(targets);
+}
+
+// arrayOf(node) arrayOf(string) -> arrayOf(node)
+//
+// In the appendices, each hint or solution is a heading,
+// the body, and a paragraph with the link back to the exercise.
+// We wrap each one in a note div (see noteDiv),
+// including the ones nested in callouts and other blocks:
+function wrapAll(blocks, targets) {
+  const nested = blocks.map((block) => {
+    switch (block.t) {
+      case "Div": {
+        const [attr, body] = block.c;
+        return pandoc.Div(attr, wrapAll(body, targets));
+      }
+
+      case "BlockQuote":
+        return pandoc.BlockQuote(wrapAll(block.c, targets));
+
+      case "BulletList":
+        return pandoc.BulletList(
+          block.c.map((item) => wrapAll(item, targets))
+        );
+
+      case "OrderedList": {
+        const [listAttrs, items] = block.c;
+        return pandoc.OrderedList(
+          listAttrs,
+          items.map((item) => wrapAll(item, targets))
+        );
+      }
+
+      default:
+        return block;
+    }
+  });
+
+  return wrapNotes(nested, targets);
+}
+
+// arrayOf(node) arrayOf(string) -> arrayOf(node)
+function wrapNotes(blocks, targets) {
+  const ans = [];
+  let note = null;
+
+  for (const block of blocks) {
+    const isTarget = block.t === "Header" && targets.includes(block.c[1][0]);
+
+    if (isTarget) {
+      const [level, [ident]] = block.c;
+
+      note = { ident, level, blocks: [noteTitle(block)] };
+    } else if (
+      note != null &&
+      block.t === "Header" &&
+      block.c[0] <= note.level
+    ) {
+      // A heading ends a note with no link back:
+      ans.push(noteDiv(note));
+      note = null;
+    }
+
+    if (note == null) {
+      ans.push(block);
+    } else if (!isTarget) {
+      note.blocks.push(block.t === "Header" ? noteTitle(block) : block);
+
+      if (containsBacklink(block)) {
+        ans.push(noteDiv(note));
+        note = null;
+      }
+    }
+  }
+
+  if (note != null) {
+    ans.push(noteDiv(note));
+  }
+
+  return ans;
+}
+
+// node -> node
+//
+// Pandoc's EPUB writer opens a <section> at each heading
+// and closes it at the next heading of the same level,
+// so a heading inside an aside would leave the aside's tags unbalanced.
+// Headings in notes become bold paragraphs instead:
+function noteTitle(header) {
+  return pandoc.Para([pandoc.Strong(header.c[2])]);
+}
+
+// The notes stay divs until we've placed the page breaks,
+// which count each note as one block (see asides):
+function noteDiv(note) {
+  return pandoc.Div([note.ident, [noteClass], []], note.blocks);
+}
+
+// node -> boolean
+function isNoteDiv(block) {
+  return block.t === "Div" && block.c[0][1].includes(noteClass);
+}
+
+// arrayOf(node) -> arrayOf(node)
+//
+// Replaces the note divs with footnote asides:
+function asides(blocks) {
+  return pandoc.walkSync(
+    blocks,
+    (node) => {
+      if (node.t !== "Div" || !isNoteDiv(node)) {
+        return;
+      }
+
+      const [[ident, unused1, unused2], body] = node.c;
+
+      return [
+        pandoc.RawBlock(
+          "html",
+          `<aside id="${ident}" epub:type="footnote" role="doc-footnote">`
+        ),
+        ...asides(body),
+        pandoc.RawBlock("html", "</aside>"),
+      ];
+    },
+    "",
+    {}
+  );
+}
+
+// Pages -----------------------------------------
+
+// integer -> node
+function pageBreak(page) {
+  return pandoc.RawBlock(
+    "html",
+    `<span id="page-${page}" epub:type="pagebreak" role="doc-pagebreak"` +
+      ` aria-label="${page}"></span>`
+  );
+}
+
+// node -> integer
+function wordCount(block) {
+  return pandoc
+    .stringify(block)
+    .split(/\s+/)
+    .filter((word) => word !== "").length;
+}
+
+// arrayOf(node) -> arrayOf(node)
+//
+// Starts a new page before the first block that takes the current page
+// past pageWords. Pages only break between top-level blocks,
+// and never just before a chapter heading
+// (pandoc starts a new file there, so the page goes after it):
+function pageBreaks(blocks) {
+  const ans = [];
+  let page = 0;
+  let words = pageWords; // So the first block starts page 1
+
+  for (const block of blocks) {
+    const isChapter = block.t === "Header" && block.c[0] === 1;
+
+    if (!isChapter && words >= pageWords) {
+      page++;
+      words = 0;
+      ans.push(pageBreak(page));
+    }
+
+    ans.push(block);
+    words += wordCount(block);
+  }
+
+  return ans;
+}
+
+// Filter ----------------------------------------
+
+function createFilter() {
+  return {
+    document: (doc, format, meta) => {
+      let figureCounter = 0;
+
+      const blocks = pandoc.walkSync(
+        doc.blocks,
+        ({t: type, c: value}) => {
+          switch (type) {
+            case "Link": {
+              const [[ident, classes, kvs], body, target] = value;
+              const epubType = linkType({ t: type, c: value });
+
+              if (epubType == null) {
+                return;
+              }
+
+              const role = `doc-${epubType}`;
+
+              return pandoc.Link(
+                [ident, classes, [...kvs, ...semantics(epubType, role)]],
+                body,
+                target
+              );
+            }
+
+            case "Header": {
+              const [level, [ident, classes, kvs], body] = value;
+
+              if (level !== 1 || !_.has(sectionTypes, ident)) {
+                return;
+              }
+
+              return pandoc.Header(
+                level,
+                [ident, classes, [...kvs, ["epub:type", sectionTypes[ident]]]],
+                body
+              );
+            }
+
+            case "Figure":
+              figureCounter++;
+              return describeFigure({ t: type, c: value }, figureCounter);
+          }
+        },
+        format,
+        meta
+      );
+
+      const notes = wrapAll(blocks, noteTargets(blocks));
+
+      return Object.assign({}, doc, {
+        blocks: asides(pageBreaks(notes)),
+      });
+    },
+  };
+}
+
+module.exports = {
+  createFilter,
+};
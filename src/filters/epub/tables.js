@@ -0,0 +1,34 @@
+const pandoc = require("pandoc-filter");
+const tables = require("../common/tables");
+
+// Many e-readers can't scroll tables sideways,
+// so on narrow screens tables with more than two columns
+// stack each row's cells, labelling each cell with its column heading
+// (see tables.scss, which shows the data-label attributes):
+function render(table) {
+  const labels = tables.columnLabels(table);
+
+  if (labels.length <= 2) {
+    return table;
+  }
+
+  const [[ident, classes, kvs], ...rest] = table.c;
+
+  const labelled = tables.mapBodyCells(
+    pandoc.Table([ident, [...classes, "table-stacked"], kvs], ...rest),
+    ([[cellIdent, cellClasses, cellKvs], ...cellRest], column) => [
+      [cellIdent, cellClasses, [...cellKvs, ["data-label", labels[column]]]],
+      ...cellRest,
+    ]
+  );
+
+  return labelled;
+}
+
+function createFilter() {
+  return tables.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,29 @@
+const pandoc = require("pandoc-filter");
+const variants = require("../common/variants");
+
+// E-readers have no JavaScript for tabs, so we show the chosen variant
+// on its own, or every variant one after another under its label:
+function render(parsed, meta) {
+  const shown = variants.chosen(parsed, meta);
+
+  return pandoc.Div(
+    [parsed.ident, ["variants"], parsed.kvs],
+    shown.length === 1
+      ? [shown[0].block]
+      : shown.flatMap((variant) => [
+          pandoc.Div(
+            ["", ["variant-label"], []],
+            [pandoc.Para([pandoc.Strong([pandoc.Str(variant.label)])])]
+          ),
+          variant.block,
+        ])
+  );
+}
+
+function createFilter() {
+  return variants.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
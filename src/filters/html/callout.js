@@ -0,0 +1,56 @@
+const pandoc = require("pandoc-filter");
+const callout = require("../common/callout");
+
+// Decorative icons. Screen readers skip these (see aria-hidden below):
+const icons = {
+  info: "ℹ",
+  warning: "⚠",
+  danger: "⛔",
+  aside: "✎",
+};
+
+function render({ ident, kind, title, kvs, body }) {
+  // The title needs an id so the callout can refer to it:
+  const titleIdent = title != null && ident !== "" ? `${ident}-title` : "";
+
+  const titleBlocks =
+    title == null
+      ? []
+      : [
+          pandoc.Div(
+            [titleIdent, ["callout-title"], []],
+            [
+              pandoc.Plain([
+                pandoc.Span(
+                  ["", ["callout-icon"], [["aria-hidden", "true"]]],
+                  [pandoc.Str(icons[kind])]
+                ),
+                pandoc.Space(),
+                pandoc.Strong([pandoc.Str(title)]),
+              ]),
+            ]
+          ),
+        ];
+
+  const ariaKvs =
+    titleIdent !== ""
+      ? [["aria-labelledby", titleIdent]]
+      : title != null
+      ? [["aria-label", title]]
+      : [];
+
+  const classes = ["callout", `callout-${kind}`];
+
+  return pandoc.Div(
+    [ident, classes, [["role", "note"], ...ariaKvs, ...kvs]],
+    [...titleBlocks, ...body]
+  );
+}
+
+function createFilter() {
+  return callout.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,320 @@
+const fs = require("fs");
+const path = require("path");
+const pandoc = require("pandoc-filter");
+const { identOf } = require("../common/identifiers");
+const messages = require("../common/messages");
+const metadata = require("../common/metadata");
+const searchIndex = require("./search-index");
+
+/*
+Splits the HTML book into one page per chapter.
+
+Pandoc can only write one output file, so this filter doesn't rewrite
+the document. Instead it writes a pandoc JSON document for each page
+to the directory named in the "chunksDir" metadata
+(and does nothing if that isn't set):
+
+- `index.json` holds any text before the first chapter
+  and a list of links to the chapters;
+
+- `NN-chapter.json` holds everything from one level-1 heading
+  up to the next, with links to the previous and next chapters
+  at the top and bottom.
+
+Links to anchors on other pages are rewritten to point at those pages.
+That covers pandoc-crossref references (`#sec:...`, `#fig:...`)
+and the links between exercises, hints, and solutions
+that solutions.js creates.
+
+Each JSON document comes with a pandoc defaults file, `NN-chapter.yaml`,
+that sets its input file, output file, and section number offset
+(so chapter numbers carry on from one page to the next).
+The `htmlChunks` task in build.sbt renders each page with:
+
+    pandoc --defaults=dist/html/NN-chapter.yaml ...
+
+This filter runs before the search index is added,
+so chapter pages don't each carry an index of the whole book.
+Instead it writes one index for every page, `search-index.js`,
+which each page loads with a <script> (see search-index.js).
+A script rather than JSON, because browsers don't let pages
+opened from disk fetch files, and the book has to work offline.
+*/
+
+const indexName = "index";
+
+const searchIndexName = "search-index.js";
+
+// Node helpers ----------------------------------
+
+// node -> boolean
+function isChapterHeading(block) {
+  return block.t === "Header" && block.c[0] === 1;
+}
+
+// node -> boolean
+function isChapterNav(block) {
+  return block.t === "Div" && block.c[0][1].includes("chapter-nav");
+}
+
+// node -> boolean
+function isNumbered(header) {
+  return !header.c[1][1].includes("unnumbered");
+}
+
+// string arrayOf(node) -> node
+function navLink(rel, href, inlines) {
+  return pandoc.Link(["", [], [["rel", rel]]], inlines, [href, ""]);
+}
+
+// string -> arrayOf(node)
+function inlinesOf(text) {
+  return [pandoc.Str(text)];
+}
+
+// Chunking --------------------------------------
+
+// integer node -> string
+function chunkName(index, header) {
+  const [level, [ident, classes, kvs], body] = header.c;
+
+  const slug = (ident !== "" ? ident : pandoc.stringify(body))
+    .replace(/^[a-z]+:/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return `${`${index + 1}`.padStart(2, "0")}-${slug}`;
+}
+
+// arrayOf(node) -> arrayOf(object)
+//
+// Split blocks at level-1 headings.
+// The first chunk (the index) holds anything before the first heading:
+function splitBlocks(blocks) {
+  const chunks = [{ name: indexName, header: null, blocks: [] }];
+
+  for (const block of blocks) {
+    if (isChapterHeading(block)) {
+      chunks.push({
+        name: chunkName(chunks.length - 1, block),
+        header: block,
+        blocks: [],
+      });
+    }
+
+    chunks[chunks.length - 1].blocks.push(block);
+  }
+
+  return chunks;
+}
+
+// arrayOf(object) -> object
+//
+// A map from every identifier in the book to the chunk it lives in:
+function ownersOf(chunks) {
+  const owners = {};
+
+  for (const chunk of chunks) {
+    pandoc.walkSync(
+      chunk.blocks,
+      (node) => {
+        const ident = identOf(node);
+
+        if (ident != null && ident !== "" && owners[ident] == null) {
+          owners[ident] = chunk.name;
+        }
+      },
+      "",
+      {}
+    );
+  }
+
+  return owners;
+}
+
+// arrayOf(node) string object -> arrayOf(node)
+function rewriteLinks(blocks, name, owners) {
+  return pandoc.walkSync(
+    blocks,
+    ({t: type, c: value}) => {
+      if (type !== "Link") {
+        return;
+      }
+
+      const [attr, inlines, [url, title]] = value;
+      const owner = url.startsWith("#") ? owners[url.substring(1)] : null;
+
+      if (owner == null || owner === name) {
+        return;
+      }
+
+      return pandoc.Link(attr, inlines, [`${owner}.html${url}`, title]);
+    },
+    "",
+    {}
+  );
+}
+
+// or(object, null) or(object, null) arrayOf(node) -> node
+//
+// The links to the previous and next chapters and the contents:
+function chapterNav(prev, next, contentsTitle) {
+  const links = [];
+
+  if (prev != null) {
+    links.push(navLink("prev", `${prev.name}.html`, prev.title));
+  }
+
+  links.push(navLink("index", `${indexName}.html`, contentsTitle));
+
+  if (next != null) {
+    links.push(navLink("next", `${next.name}.html`, next.title));
+  }
+
+  const spaced = links.flatMap((link, i) =>
+    i === 0 ? [link] : [pandoc.Space(), link]
+  );
+
+  return pandoc.Div(["", ["chapter-nav"], [["role", "navigation"]]], [
+    pandoc.Plain(spaced),
+  ]);
+}
+
+// arrayOf(object) -> node
+function contents(chapters) {
+  return pandoc.BulletList(
+    chapters.map((chapter) => [
+      pandoc.Plain([
+        pandoc.Link(["", [], []], chapter.title, [`${chapter.name}.html`, ""]),
+      ]),
+    ])
+  );
+}
+
+// pandoc -> arrayOf(object)
+//
+// The pages of the chunked book:
+// [{ name, numberOffset, doc }, ...], starting with the index.
+function createChunks(doc) {
+  const [index, ...chapters] = splitBlocks(doc.blocks);
+  const owners = ownersOf([index, ...chapters]);
+  const bookTitle = metadata.getString(doc.meta, ["title"], "");
+  const contentsTitle = inlinesOf(messages.forMeta(doc.meta)("contents"));
+
+  let numberOffset = 0;
+
+  for (const chapter of chapters) {
+    chapter.title = chapter.header.c[2];
+    chapter.numberOffset = numberOffset;
+
+    if (isNumbered(chapter.header)) {
+      numberOffset++;
+    }
+  }
+
+  const indexPage = {
+    name: index.name,
+    numberOffset: 0,
+    doc: Object.assign({}, doc, {
+      blocks: [
+        ...rewriteLinks(index.blocks, index.name, owners),
+        pandoc.Header(1, ["contents", ["unnumbered"], []], contentsTitle),
+        contents(chapters),
+        searchIndex.indexRef(searchIndexName),
+      ],
+    }),
+  };
+
+  const chapterPages = chapters.map((chapter, i) => {
+    const nav = chapterNav(chapters[i - 1], chapters[i + 1], contentsTitle);
+
+    return {
+      name: chapter.name,
+      numberOffset: chapter.numberOffset,
+      doc: Object.assign({}, doc, {
+        meta: Object.assign({}, doc.meta, {
+          pagetitle: { t: "MetaString", c: pandoc.stringify(chapter.title) },
+          "title-prefix": { t: "MetaString", c: bookTitle },
+          chunk: { t: "MetaBool", c: true },
+        }),
+        blocks: [
+          nav,
+          ...rewriteLinks(chapter.blocks, chapter.name, owners),
+          nav,
+          searchIndex.indexRef(searchIndexName),
+        ],
+      }),
+    };
+  });
+
+  return [indexPage, ...chapterPages];
+}
+
+// arrayOf(object) -> arrayOf(object)
+//
+// The search index for the pages,
+// with the page each section is on:
+function createSearchIndex(chunks) {
+  return chunks.flatMap((chunk) =>
+    searchIndex
+      .createIndex({
+        blocks: chunk.doc.blocks.filter((block) => !isChapterNav(block)),
+      })
+      .map((entry) => Object.assign({ page: `${chunk.name}.html` }, entry))
+  );
+}
+
+// string object -> undefined
+function writeChunk(dir, chunk) {
+  const input = path.join(dir, `${chunk.name}.json`);
+  const output = path.join(dir, `${chunk.name}.html`);
+
+  fs.writeFileSync(input, JSON.stringify(chunk.doc));
+
+  // JSON is YAML, so pandoc reads this as a defaults file:
+  fs.writeFileSync(
+    path.join(dir, `${chunk.name}.yaml`),
+    JSON.stringify(
+      {
+        from: "json",
+        "input-files": [input],
+        "output-file": output,
+        "number-offset": [chunk.numberOffset],
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+function createFilter() {
+  return {
+    document: (doc, format, meta) => {
+      const dir = metadata.getString(meta, ["chunksDir"]);
+
+      if (dir != null) {
+        fs.mkdirSync(dir, { recursive: true });
+
+        const chunks = createChunks(doc);
+
+        for (const chunk of chunks) {
+          writeChunk(dir, chunk);
+        }
+
+        fs.writeFileSync(
+          path.join(dir, searchIndexName),
+          searchIndex.indexScript(createSearchIndex(chunks))
+        );
+      }
+
+      return doc;
+    },
+  };
+}
+
+module.exports = {
+  createChunks,
+  createSearchIndex,
+  createFilter,
+};
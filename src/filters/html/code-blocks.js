@@ -0,0 +1,15 @@
+const codeBlocks = require("../common/code-blocks");
+
+// src/js/code-callouts.js links the callout markers
+// in the code to the list that explains them:
+function createFilter() {
+  let counter = 0;
+
+  return codeBlocks.createFilter((listing, list, meta) =>
+    codeBlocks.htmlBlocks(listing, list, `code-${++counter}`)
+  );
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,18 @@
+const pandoc = require("pandoc-filter");
+const columns = require("../common/columns");
+
+// Bootstrap grid columns that stack on narrow screens:
+function render(ident, kvs, body) {
+  return pandoc.Div(
+    [ident, ["row"], kvs],
+    body.map((col) => columns.asColumn(col, "col-md"))
+  );
+}
+
+function createFilter() {
+  return columns.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,31 @@
+const pandoc = require("pandoc-filter");
+const compare = require("../common/compare");
+
+// One panel per code block. Without JavaScript the panels
+// appear one after another under their labels.
+// src/js/tabs.js turns them into tabs:
+function render({ ident, kvs, panels }) {
+  return pandoc.Div(
+    [ident, ["compare", "tabbed"], kvs],
+    panels.map((panel) =>
+      pandoc.Div(
+        ["", ["tab-panel"], [["data-label", panel.label]]],
+        [
+          pandoc.Div(
+            ["", ["tab-label"], []],
+            [pandoc.Plain([pandoc.Strong([pandoc.Str(panel.label)])])]
+          ),
+          panel.block,
+        ]
+      )
+    )
+  );
+}
+
+function createFilter() {
+  return compare.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,152 @@
+const _ = require("underscore");
+const pandoc = require("pandoc-filter");
+
+/*
+Builds a search index for the single-page HTML book
+and embeds it at the end of the document as JSON:
+
+<script type="application/json" id="search-index">
+[{ "id": "sec:monads", "title": "Monads", "level": 1,
+   "text": "...", "code": ["flatMap", "pure", ...] }, ...]
+</script>
+
+The chunked site (see chunks.js) shares one index between its pages instead.
+It writes the index to `search-index.json`,
+and each page has an empty script element that points to it:
+
+<script type="application/json" id="search-index"
+  data-src="search-index.json"></script>
+
+Its entries also name the page each section is on (`"page": "02-monads.html"`).
+
+There's one entry per heading with an anchor.
+Each entry contains the text of the section up to the next heading,
+plus the identifiers that appear in its code.
+src/js/search.js does the searching in the browser,
+so search works offline.
+*/
+
+const identifierRegex = /[A-Za-z_][A-Za-z0-9_]*/g;
+
+// string -> arrayOf(string)
+//
+// Identifiers in a code snippet, ignoring very short ones:
+function identifiersOf(code) {
+  return (code.match(identifierRegex) || []).filter((id) => id.length >= 3);
+}
+
+// string -> string
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// pandoc -> arrayOf(object)
+function createIndex(doc) {
+  const entries = [];
+  let entry = null;
+
+  pandoc.walkSync(
+    doc.blocks,
+    ({t: type, c: value}) => {
+      switch (type) {
+        case "Header": {
+          const [level, [ident, classes, kvs], body] = value;
+
+          if (ident !== "") {
+            entry = {
+              id: ident,
+              title: normalize(pandoc.stringify(body)),
+              level,
+              text: [],
+              code: [],
+            };
+            entries.push(entry);
+          }
+
+          return;
+        }
+
+        // Leaf blocks. We collect the text of these
+        // and ignore the containers that hold them:
+        case "Para":
+        case "Plain":
+        case "LineBlock":
+          if (entry != null) {
+            entry.text.push(pandoc.stringify({ t: type, c: value }));
+          }
+
+          return;
+
+        case "CodeBlock":
+          if (entry != null) {
+            entry.text.push(value[1]);
+            entry.code.push(...identifiersOf(value[1]));
+          }
+
+          return;
+
+        case "Code":
+          if (entry != null) {
+            entry.code.push(...identifiersOf(value[1]));
+          }
+
+          return;
+      }
+    },
+    "",
+    {}
+  );
+
+  return entries.map((entry) =>
+    Object.assign(entry, {
+      text: normalize(entry.text.join(" ")),
+      code: _.uniq(entry.code),
+    })
+  );
+}
+
+// object -> node
+function indexBlock(index) {
+  // Escape "<" so the JSON can't close the <script> early:
+  const json = JSON.stringify(index).replace(/</g, "\\u003c");
+
+  return pandoc.RawBlock(
+    "html",
+    `<script type="application/json" id="search-index">${json}</script>`
+  );
+}
+
+// string -> node
+//
+// A script that loads a shared index file (see indexScript).
+// Pages opened from disk can't fetch JSON, but they can load scripts:
+function indexRef(src) {
+  return pandoc.RawBlock(
+    "html",
+    `<script id="search-index" src="${src}"></script>`
+  );
+}
+
+// arrayOf(object) -> string
+//
+// The contents of a shared index file,
+// which puts the index in a global for src/js/search.js:
+function indexScript(index) {
+  return `window.searchIndex = ${JSON.stringify(index)};\n`;
+}
+
+function createFilter() {
+  return {
+    document: (doc, format, meta) =>
+      Object.assign({}, doc, {
+        blocks: [...doc.blocks, indexBlock(createIndex(doc))],
+      }),
+  };
+}
+
+module.exports = {
+  createIndex,
+  indexRef,
+  indexScript,
+  createFilter,
+};
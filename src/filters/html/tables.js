@@ -1,26 +1,15 @@
-#!/usr/bin/env node
-
-const _ = require("underscore");
 const pandoc = require("pandoc-filter");
+const tables = require("../common/tables");
 
-// Because we wrap the table we're processing in a <div>,
-// the walk algorithm causes us to revisit when processing
-// the children of the <div>. We "hash" (stringify) visited
-// tables and cache them here to prevent infinite recursion.
-const visited = [];
-
-function action({t: type, c: value}, format, meta) {
-  if (type === "Table") {
-    const hash = JSON.stringify(value);
+// Wide tables scroll sideways on narrow screens:
+function render(table) {
+  return pandoc.Div(["", ["table-responsive"], []], [table]);
+}
 
-    if (!_.contains(visited, hash)) {
-      visited.push(hash);
-      return pandoc.Div(
-        ["", ["table-responsive"], []],
-        [pandoc.Table.apply(this, value)]
-      );
-    }
-  }
+function createFilter() {
+  return tables.createFilter(render);
 }
 
-pandoc.stdio(action);
+module.exports = {
+  createFilter,
+};
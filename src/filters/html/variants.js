@@ -0,0 +1,38 @@
+const pandoc = require("pandoc-filter");
+const variants = require("../common/variants");
+
+// One tab per variant, like comparisons (see compare.js).
+// src/js/variants.js shows the reader's chosen variant
+// in every set of variants in the book:
+function render({ ident, kvs, variants }) {
+  return pandoc.Div(
+    [ident, ["variants", "tabbed"], kvs],
+    variants.map((variant) =>
+      pandoc.Div(
+        [
+          "",
+          ["tab-panel"],
+          [
+            ["data-label", variant.label],
+            ["data-variant", variant.name],
+          ],
+        ],
+        [
+          pandoc.Div(
+            ["", ["tab-label"], []],
+            [pandoc.Plain([pandoc.Strong([pandoc.Str(variant.label)])])]
+          ),
+          variant.block,
+        ]
+      )
+    )
+  );
+}
+
+function createFilter() {
+  return variants.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -1,28 +1,50 @@
 const pandoc = require("pandoc-filter");
+const callout = require("../common/callout");
+const metadata = require("../common/metadata");
 
-function action({t: type, c: value}, format, meta) {
-  if (type === "Div") {
-    const [[ident, classes, kvs], body] = value;
-
-    switch (classes && classes[0]) {
-      case "callout":
-        const environmentName =
-          classes[1] === "callout-danger"
-            ? "DangerCallout"
-            : classes[1] === "callout-warning"
-            ? "WarningCallout"
-            : "InfoCallout";
+// string -> string
+function escapeLatex(text) {
+  return text
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([#$%&_{}])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+}
 
-        return pandoc.Div(
-          [ident, [], kvs],
-          [
-            pandoc.RawBlock("latex", `\\begin{${environmentName}}`),
-            ...body,
-            pandoc.RawBlock("latex", `\\end{${environmentName}}`),
-          ]
-        );
-    }
+// Asides render as info callouts:
+function environmentName(kind) {
+  switch (kind) {
+    case "danger":
+      return "DangerCallout";
+    case "warning":
+      return "WarningCallout";
+    default:
+      return "InfoCallout";
   }
 }
 
-pandoc.stdio(action);
+// Print books use greyscale variants defined in template.tex,
+// e.g. "PrintInfoCallout":
+function render({ ident, kind, title, kvs, body }, meta) {
+  const printable = metadata.getBool(meta, ["blackandwhiteprintable"], false);
+  const name = (printable ? "Print" : "") + environmentName(kind);
+
+  const options = title == null ? "" : `[frametitle={${escapeLatex(title)}}]`;
+
+  return pandoc.Div(
+    [ident, [], kvs],
+    [
+      pandoc.RawBlock("latex", `\\begin{${name}}${options}`),
+      ...body,
+      pandoc.RawBlock("latex", `\\end{${name}}`),
+    ]
+  );
+}
+
+function createFilter() {
+  return callout.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,29 @@
+const pandoc = require("pandoc-filter");
+const compare = require("../common/compare");
+
+// Code blocks side by side in columns, each under its label.
+// listings.js turns the Scala blocks into listings later on:
+function render({ ident, kvs, panels }) {
+  const columns = panels.flatMap((panel, i) => [
+    ...(i === 0 ? [] : [pandoc.RawBlock("latex", "\\columnbreak")]),
+    pandoc.Para([pandoc.Strong([pandoc.Str(panel.label)])]),
+    panel.block,
+  ]);
+
+  return pandoc.Div(
+    [ident, [], kvs],
+    [
+      pandoc.RawBlock("latex", `\\begin{multicols}{${panels.length}}`),
+      ...columns,
+      pandoc.RawBlock("latex", "\\end{multicols}"),
+    ]
+  );
+}
+
+function createFilter() {
+  return compare.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
@@ -1,21 +1,87 @@
-#!/usr/bin/env node
-
 const _ = require("underscore");
 const pandoc = require("pandoc-filter");
+const codeBlocks = require("../common/code-blocks");
 
-function action({t: type, c: value}, format, meta) {
-  if (type === "CodeBlock") {
-    const [[ident, classes, kvs], body] = value;
-
-    if (classes.includes("scala")) {
-      return pandoc.RawBlock(
-        "latex",
-        ["\\begin{lstlisting}[style=scala]", body, "\\end{lstlisting}"].join(
-          "\n"
-        )
-      );
-    }
+// String helpers --------------------------------
+
+// string -> string
+function escapeLatex(text) {
+  return text
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([#$%&_{}])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+}
+
+// Listing -> arrayOf(string)
+//
+// The lstlisting options for a code block (see code-blocks.js).
+// \lsthighlight and \lstcallout are defined in template.tex:
+function listingOptions(listing) {
+  const options = listing.classes.includes("scala") ? ["style=scala"] : [];
+
+  if (listing.caption != null) {
+    // Labelled listings are numbered so pandoc-crossref can refer to them:
+    const key = listing.crossref ? "caption" : "title";
+    options.push(`${key}={${escapeLatex(listing.caption)}}`);
+  }
+
+  if (listing.ident !== "") {
+    options.push(`label={${listing.ident}}`);
+  }
+
+  if (listing.highlight.length > 0) {
+    options.push(
+      "numbers=left",
+      `numberstyle={\\lsthighlight{${listing.highlight.join(",")}}}`
+    );
   }
+
+  if (listing.callouts.length > 0) {
+    options.push("escapeinside={(*@}{@*)}");
+  }
+
+  return options;
+}
+
+// Listing -> string
+function listingText(listing) {
+  return listing.text
+    .split("\n")
+    .map((line, i) => {
+      const callout = _.find(listing.callouts, (c) => c.line === i + 1);
+      return callout == null
+        ? line
+        : `${line} (*@\\lstcallout{${callout.number}}@*)`;
+    })
+    .join("\n");
+}
+
+function createFilter() {
+  return function ({t: type, c: value}, format, meta) {
+    if (type === "CodeBlock") {
+      const [[ident, classes, kvs], body] = value;
+      const block = { t: type, c: value };
+
+      if (classes.includes("scala") || codeBlocks.hasFeatures(block)) {
+        const listing = codeBlocks.parseListing(block);
+        const options = listingOptions(listing);
+
+        return pandoc.RawBlock(
+          "latex",
+          [
+            `\\begin{lstlisting}${
+              options.length === 0 ? "" : `[${options.join(",")}]`
+            }`,
+            listingText(listing),
+            "\\end{lstlisting}",
+          ].join("\n")
+        );
+      }
+    }
+  };
 }
 
-pandoc.stdio(action);
+module.exports = {
+  createFilter,
+};
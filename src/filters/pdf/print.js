@@ -0,0 +1,90 @@
+const pandoc = require("pandoc-filter");
+const metadata = require("../common/metadata");
+
+/*
+Turns hyperlinks into something print readers can use.
+Only runs in print books (when "blackandwhiteprintable" is set):
+
+- external links become their text plus a footnote with the URL;
+
+- links whose text is the URL already (<http://...>) stay as they are;
+
+- links in headings lose their URL, because footnotes in headings
+  end up in the table of contents and running heads;
+
+- links in footnotes get the URL in brackets,
+  because LaTeX can't nest footnotes.
+
+Links to anchors inside the book are left alone.
+Solution and exercise references are handled by solutions.js.
+*/
+
+// string -> boolean
+function isExternal(url) {
+  return /^(https?|ftp|mailto):/.test(url);
+}
+
+// string -> node
+//
+// A URL as LaTeX. \url copes with most characters,
+// but # and % need escaping inside footnotes:
+function urlNode(url) {
+  return pandoc.RawInline("latex", `\\url{${url.replace(/([#%])/g, "\\$1")}}`);
+}
+
+// node (arrayOf(node) string -> arrayOf(node)) -> node
+//
+// Replace the external links in a heading or note:
+function replaceLinks(node, replace) {
+  return pandoc.walkSync(
+    node,
+    ({t: type, c: value}) => {
+      if (type === "Link" && isExternal(value[2][0])) {
+        return replace(value[1], value[2][0]);
+      }
+    },
+    "",
+    {}
+  );
+}
+
+function createFilter() {
+  return function ({t: type, c: value}, format, meta) {
+    if (!metadata.getBool(meta, ["blackandwhiteprintable"], false)) {
+      return;
+    }
+
+    switch (type) {
+      case "Header":
+        return replaceLinks({ t: type, c: value }, (body, url) =>
+          pandoc.Span(["", [], []], body)
+        );
+
+      case "Note":
+        return replaceLinks({ t: type, c: value }, (body, url) => [
+          pandoc.Span(["", [], []], body),
+          pandoc.Space(),
+          pandoc.Str("("),
+          urlNode(url),
+          pandoc.Str(")"),
+        ]);
+
+      case "Link": {
+        const [attr, body, [url, title]] = value;
+
+        if (!isExternal(url) || pandoc.stringify(body) === url) {
+          return;
+        }
+
+        return [
+          pandoc.Span(attr, body),
+          pandoc.Note([pandoc.Plain([urlNode(url)])]),
+        ];
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFilter,
+};
@@ -0,0 +1,32 @@
+const pandoc = require("pandoc-filter");
+const tables = require("../common/tables");
+
+// This filter only changes the size of tables.
+// The rest comes from pandoc's LaTeX writer, not from us:
+// it writes every table as a longtable with booktabs rules
+// (\toprule, \midrule, \bottomrule; template.tex loads both packages)
+// and ends the header with \endhead, so long tables repeat it on each page.
+//
+// We set tables a size smaller with a little more room between rows,
+// which suits the narrow pages of the book:
+function render(table) {
+  return pandoc.Div(
+    ["", [], []],
+    [
+      pandoc.RawBlock(
+        "latex",
+        "\\begingroup\\small\\renewcommand{\\arraystretch}{1.2}"
+      ),
+      table,
+      pandoc.RawBlock("latex", "\\endgroup"),
+    ]
+  );
+}
+
+function createFilter() {
+  return tables.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
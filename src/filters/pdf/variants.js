@@ -0,0 +1,26 @@
+const pandoc = require("pandoc-filter");
+const variants = require("../common/variants");
+
+// The chosen variant on its own, or every variant under its label.
+// listings.js turns the blocks into listings later on:
+function render(parsed, meta) {
+  const shown = variants.chosen(parsed, meta);
+
+  return pandoc.Div(
+    [parsed.ident, [], parsed.kvs],
+    shown.length === 1
+      ? [shown[0].block]
+      : shown.flatMap((variant) => [
+          pandoc.Para([pandoc.Strong([pandoc.Str(variant.label)])]),
+          variant.block,
+        ])
+  );
+}
+
+function createFilter() {
+  return variants.createFilter(render);
+}
+
+module.exports = {
+  createFilter,
+};
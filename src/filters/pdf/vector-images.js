@@ -1,6 +0,0 @@
-#!/usr/bin/env node
-
-const images = require("../common/vector-images");
-const pandoc = require("pandoc-filter");
-
-pandoc.stdio(images.createFilter("pdf"));
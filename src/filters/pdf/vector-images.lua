@@ -1,7 +0,0 @@
-dofile("src/filters/common/vector-images.lua")
-
-return {
-  {
-    Image = createFilter(".pdf")
-  }
-}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const pandoc = require("pandoc-filter");
+
+const apiLinks = require("./common/api-links");
+const bookIndex = require("./common/book-index");
+const conditional = require("./common/conditional");
+const diagrams = require("./common/diagrams");
+const merge = require("./common/merge-code");
+const messages = require("./common/messages");
+const metadata = require("./common/metadata");
+const { schema } = require("./common/schema");
+const solutions = require("./common/solutions");
+const unwrap = require("./common/unwrap-code");
+const validate = require("./common/validate");
+const images = require("./common/vector-images");
+const worksheets = require("./common/worksheets");
+
+const pdfCallout = require("./pdf/callout");
+const pdfColumns = require("./pdf/columns");
+const pdfCompare = require("./pdf/compare");
+const pdfListings = require("./pdf/listings");
+const pdfPrint = require("./pdf/print");
+const pdfTables = require("./pdf/tables");
+const pdfVariants = require("./pdf/variants");
+
+const htmlCallout = require("./html/callout");
+const htmlChunks = require("./html/chunks");
+const htmlCodeBlocks = require("./html/code-blocks");
+const htmlColumns = require("./html/columns");
+const htmlCompare = require("./html/compare");
+const htmlSearchIndex = require("./html/search-index");
+const htmlTables = require("./html/tables");
+const htmlVariants = require("./html/variants");
+
+const epubCallout = require("./epub/callout");
+const epubCodeBlocks = require("./epub/code-blocks");
+const epubColumns = require("./epub/columns");
+const epubCompare = require("./epub/compare");
+const epubSemantics = require("./epub/semantics");
+const epubTables = require("./epub/tables");
+const epubVariants = require("./epub/variants");
+
+/*
+Runs every filter for a build target over a single parsed AST
+in a single Node process. Pandoc invokes this script as:
+
+    pandoc --filter=pandoc-crossref --filter=src/filters/pipeline.js ...
+
+and passes the output format (latex, html5, epub3, ...)
+as the first command-line argument.
+*/
+
+// Filter lists ----------------------------------
+
+// The filters for each target, in the order they run.
+// Each entry is a function so that stateful filters
+// (e.g. solutions) get fresh accumulators for every document:
+const targets = {
+  pdf: () => [
+    conditional.createFilter("pdf"),
+    apiLinks.createFilter(),
+    unwrap.createFilter(),
+    merge.createFilter(),
+    pdfCallout.createFilter(),
+    pdfColumns.createFilter(),
+    pdfCompare.createFilter(),
+    pdfVariants.createFilter(),
+    bookIndex.createFilter("pdf"),
+    pdfTables.createFilter(),
+    solutions.createFilter(),
+    diagrams.createFilter("pdf"),
+    images.createFilter("pdf"),
+    pdfPrint.createFilter(),
+    pdfListings.createFilter(),
+  ],
+
+  html: () => [
+    conditional.createFilter("html"),
+    messages.createFilter([
+      "tableOfContents",
+      "searchPlaceholder",
+      "searchLabel",
+    ]),
+    apiLinks.createFilter(),
+    unwrap.createFilter(),
+    merge.createFilter(),
+    htmlCallout.createFilter(),
+    htmlColumns.createFilter(),
+    htmlCompare.createFilter(),
+    htmlVariants.createFilter(),
+    htmlCodeBlocks.createFilter(),
+    bookIndex.createFilter("html"),
+    htmlTables.createFilter(),
+    diagrams.createFilter("html"),
+    images.createFilter("html"),
+    htmlChunks.createFilter(), // only runs in the htmlChunks build
+    htmlSearchIndex.createFilter(),
+  ],
+
+  // Only exports code, so it skips the filters that render the book.
+  // The worksheets see the code as the source writes it,
+  // so unwrap-code.js and merge-code.js don't run either:
+  worksheets: () => [
+    conditional.createFilter("pdf"),
+    worksheets.createFilter(),
+  ],
+
+  // Checks the links and anchors the builds end up with,
+  // so it first runs the filters that add them: API links,
+  // index anchors, and the links between exercises and solutions
+  // in the PDF and ePub. The other filters only change how things look,
+  // and some hide anchors in raw LaTeX or HTML, so they don't run:
+  validate: () => [
+    conditional.createFilter("html"),
+    apiLinks.createFilter(),
+    unwrap.createFilter(),
+    merge.createFilter(),
+    bookIndex.createFilter("html"),
+    solutions.createFilter(),
+    validate.createFilter(),
+  ],
+
+  epub: () => [
+    conditional.createFilter("epub"),
+    apiLinks.createFilter(),
+    unwrap.createFilter(),
+    merge.createFilter(),
+    epubCallout.createFilter(),
+    epubColumns.createFilter(),
+    epubCompare.createFilter(),
+    epubVariants.createFilter(),
+    epubCodeBlocks.createFilter(),
+    bookIndex.createFilter("epub"),
+    epubTables.createFilter(),
+    solutions.createFilter(),
+    diagrams.createFilter("epub"),
+    images.createFilter("epub"),
+    epubSemantics.createFilter(),
+  ],
+};
+
+// string meta -> or(string, undefined)
+//
+// Map a Pandoc output format onto one of the targets above.
+// The JSON debug build uses the PDF filters.
+// Builds that use the book for something else
+// name their pipeline in the "pipeline" metadata
+// (see project/Pandoc.scala):
+function targetFor(format, meta = {}) {
+  const named = metadata.getString(meta, ["pipeline"]);
+
+  if (named != null) {
+    return named;
+  } else if (/^(latex|beamer|json)$/.test(format)) {
+    return "pdf";
+  } else if (/^html[45]?$/.test(format)) {
+    return "html";
+  } else if (/^epub[23]?$/.test(format)) {
+    return "epub";
+  } else {
+    return undefined;
+  }
+}
+
+// Running filters -------------------------------
+
+// arrayOf(filter) pandoc string -> Promise(pandoc)
+//
+// Each filter is either:
+//
+// - anything pandoc.walk accepts:
+//   an action function or an object of { single, array } actions; or
+//
+// - an object with a document(doc, format, meta) method,
+//   for filters that need to see the whole document at once
+//   (e.g. to append to it). It returns the new document or a promise of one.
+async function runFilters(filters, doc, format) {
+  let ans = doc;
+  for (const filter of filters) {
+    ans =
+      typeof filter.document === "function"
+        ? await filter.document(ans, format, ans.meta)
+        : await pandoc.filter(ans, filter, format);
+  }
+  return ans;
+}
+
+// string -> Promise(undefined)
+async function stdio(format) {
+  // Pandoc writes the whole AST before it reads ours, so reading
+  // stdin synchronously is fine (file descriptor 0 is stdin):
+  const doc = JSON.parse(fs.readFileSync(0, "utf8"));
+  const target = targetFor(format, doc.meta);
+
+  if (target == null) {
+    throw new Error(`No filter pipeline for output format "${format}"`);
+  } else if (!Object.prototype.hasOwnProperty.call(targets, target)) {
+    throw new Error(`No filter pipeline named "${target}"`);
+  }
+
+  // Catch misspelled and ill-typed settings in src/meta/*.yaml:
+  for (const warning of metadata.check(doc.meta, schema)) {
+    console.error(warning);
+  }
+
+  const output = await runFilters(targets[target](), doc, format);
+  process.stdout.write(JSON.stringify(output));
+}
+
+if (require.main === module) {
+  stdio(process.argv.length > 2 ? process.argv[2] : "").catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  targets,
+  targetFor,
+  runFilters,
+};
@@ -0,0 +1,45 @@
+var $ = require("jquery");
+
+// Links the callout markers in code blocks, `// (1)`,
+// to the items of the list that explains them
+// (see src/filters/common/code-blocks.js).
+// Pandoc puts comments in span.co elements:
+
+var markerRegex = /\((\d+)\)\s*$/;
+
+function linkMarkers(block) {
+  var base = block.attr("data-callouts");
+
+  block.find("code span.co").each(function () {
+    var comment = $(this);
+    var match = comment.text().match(markerRegex);
+
+    if (match == null) {
+      return;
+    }
+
+    var target = $(document.getElementById(`${base}-callout-${match[1]}`));
+
+    if (target.length === 0) {
+      return;
+    }
+
+    var text = comment.text();
+
+    comment
+      .text(text.substring(0, match.index))
+      .append(
+        $('<a class="code-callout"></a>')
+          .attr("href", `#${base}-callout-${match[1]}`)
+          .text(match[0])
+      );
+  });
+}
+
+function init(selector) {
+  $(selector).each(function () {
+    linkMarkers($(this));
+  });
+}
+
+module.exports = { init };
@@ -1,28 +1,49 @@
 var $ = require("jquery");
+var messages = require("../messages");
 
+var codeCallouts = require("./code-callouts");
+var keyboard = require("./keyboard");
+var progress = require("./progress");
+var search = require("./search");
+var sections = require("./sections");
+var tabs = require("./tabs");
 var toc = require("./toc");
+var variants = require("./variants");
 
-function addToggle(className, name, additionalClasses) {
+// Generated text in the language of the page (see src/messages):
+var message = messages.forLang(document.documentElement.lang || undefined);
+
+function addToggle(className, heading, additionalClasses) {
   function toggleMain() {
     var toggleable = $(this);
 
-    var extraClasses =
-      additionalClasses != null ? additionalClasses : { additionalClasses: "" };
+    var extraClasses = additionalClasses != null ? additionalClasses : "";
+
+    // Show or hide the content, remember the choice between visits,
+    // and let anyone interested know (see chainHints):
+    function reveal(revealed) {
+      toggleable.toggle(revealed).data("revealed", revealed);
+      progress.setRevealed(toggleable, revealed);
+      toggleable.trigger("toggled", [revealed]);
+    }
 
     function theToggling(evt) {
-      toggleable.toggle();
+      reveal(!toggleable.data("revealed"));
       return evt.preventDefault();
     }
 
+    var revealed = progress.isRevealed(toggleable);
+
     toggleable
       .addClass("panel-body")
-      .wrap('<div class="panel panel-default #{extraClasses}"></div>')
-      .hide();
+      .wrap(`<div class="panel panel-default ${extraClasses}"></div>`)
+      .data("revealed", revealed)
+      .toggle(revealed);
 
     return $(
       `<a href="javascript:void 0">
         <div class="panel-heading">
-          <h5>${name} (click to reveal)</h5>
+          <h5>${heading}</h5>
         </div>
       </a>`
     )
@@ -32,7 +53,62 @@ function addToggle(className, name, additionalClasses) {
   return $(`.${className}`).each(toggleMain);
 }
 
+// Hints are revealed one at a time:
+// the toggle for each hint only appears
+// once the reader has revealed the hint before it.
+function chainHints() {
+  return $(".hint").each(function () {
+    var panel = $(this).parent();
+    var previous = panel.prev().children(".hint");
+
+    if (previous.length > 0) {
+      panel.toggle(previous.data("revealed") === true);
+      previous.on("toggled", function (evt, revealed) {
+        if (revealed) {
+          panel.show();
+        }
+      });
+    }
+  });
+}
+
+// Toggle the first solution in (or after) the current section:
+function toggleNextSolution() {
+  var heading = sections.currentHeading();
+  var top = heading == null ? 0 : $(heading).offset().top;
+
+  $(".solution")
+    .filter(function () {
+      return $(this).parent().offset().top >= top;
+    })
+    .first()
+    .siblings("a")
+    .click();
+}
+
+function toggleToc() {
+  var details = $("nav.navbar details");
+  details.prop("open", !details.prop("open"));
+}
+
 $(function () {
   toc.init(".toc-toggle", ".cover-notes,.toc-contents");
-  addToggle("solution", "Solution");
+  progress.assignKeys(".hint, .solution");
+  addToggle("hint", message("revealHint"));
+  addToggle("solution", message("revealSolution"));
+  chainHints();
+  tabs.init(".tabbed");
+  variants.init(".variants");
+  codeCallouts.init(".code-callouts");
+  sections.init("article h1[id], article h2[id]", ".current-section");
+  search.init("#search-index", ".search-input", ".search-results");
+  keyboard.init({
+    n: sections.next,
+    j: sections.next,
+    p: sections.previous,
+    k: sections.previous,
+    s: toggleNextSolution,
+    t: toggleToc,
+    "/": search.focus,
+  });
 });
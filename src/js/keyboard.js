@@ -0,0 +1,24 @@
+var $ = require("jquery");
+
+// Single-key shortcuts. We ignore keys typed into form fields
+// and keys pressed with modifiers (so browser shortcuts still work).
+function init(bindings) {
+  $(document).on("keydown", function (evt) {
+    if (evt.altKey || evt.ctrlKey || evt.metaKey) {
+      return;
+    }
+
+    if ($(evt.target).is("input, textarea, select, [contenteditable]")) {
+      return;
+    }
+
+    var action = bindings[evt.key];
+
+    if (action != null) {
+      evt.preventDefault();
+      action();
+    }
+  });
+}
+
+module.exports = { init };
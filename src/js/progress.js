@@ -0,0 +1,92 @@
+var $ = require("jquery");
+
+// Reading progress lives in localStorage under this key:
+var storageKey = "scala-with-cats:progress";
+
+function emptyProgress() {
+  return { revealed: {}, section: null, offset: 0 };
+}
+
+// localStorage can be unavailable (e.g. private browsing),
+// in which case we quietly forget everything:
+function load() {
+  try {
+    var stored = JSON.parse(window.localStorage.getItem(storageKey));
+    return $.extend(emptyProgress(), stored);
+  } catch (err) {
+    return emptyProgress();
+  }
+}
+
+function save(progress) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(progress));
+  } catch (err) {
+    // Ignore
+  }
+}
+
+// Give each matching element a stable key:
+// the id of the last heading before it,
+// plus its index among the matching elements since that heading.
+// Adding an exercise elsewhere in the book doesn't change the key.
+function assignKeys(selector) {
+  var heading = "top";
+  var counter = 0;
+
+  $(`h1[id], h2[id], h3[id], h4[id], ${selector}`).each(function () {
+    var elem = $(this);
+
+    if (elem.is("h1, h2, h3, h4")) {
+      heading = elem.attr("id");
+      counter = 0;
+    } else {
+      counter = counter + 1;
+      elem.attr("data-progress-key", `${heading}:${counter}`);
+    }
+  });
+}
+
+function isRevealed(elem) {
+  var key = $(elem).attr("data-progress-key");
+  return key != null && load().revealed[key] === true;
+}
+
+function setRevealed(elem, revealed) {
+  var key = $(elem).attr("data-progress-key");
+
+  if (key != null) {
+    var progress = load();
+
+    if (revealed) {
+      progress.revealed[key] = true;
+    } else {
+      delete progress.revealed[key];
+    }
+
+    save(progress);
+  }
+}
+
+// The reading position is a section id and a scroll offset in pixels
+// from the top of that section, which survives changes elsewhere
+// in the book better than a scroll position from the top of the page:
+function lastPosition() {
+  var progress = load();
+  return { section: progress.section, offset: progress.offset || 0 };
+}
+
+function setLastPosition(id, offset) {
+  var progress = load();
+  progress.section = id;
+  progress.offset = offset;
+  save(progress);
+}
+
+module.exports = {
+  assignKeys,
+  isRevealed,
+  setRevealed,
+  lastPosition,
+  setLastPosition,
+};
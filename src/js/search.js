@@ -0,0 +1,287 @@
+var $ = require("jquery");
+var messages = require("../messages");
+
+// Offline full-text search over the index
+// embedded by src/filters/html/search-index.js
+// (or, on the chunked site, shared by every page in search-index.js).
+// Shows matching sections under the search box
+// and highlights the matches in the section the reader picks.
+
+var maxResults = 20;
+var snippetRadius = 60;
+
+var index = [];
+
+// Generated text in the language of the page (see src/messages):
+var message = messages.forLang(document.documentElement.lang || undefined);
+
+// Lower-cased search terms, ignoring empty ones:
+function termsOf(query) {
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(function (term) {
+      return term.length > 0;
+    });
+}
+
+function count(haystack, term) {
+  var ans = 0;
+  var from = haystack.indexOf(term);
+
+  while (from >= 0) {
+    ans++;
+    from = haystack.indexOf(term, from + term.length);
+  }
+
+  return ans;
+}
+
+// Matches in headings and code count for more than matches in prose.
+// Every term must appear somewhere in the section:
+function score(entry, terms) {
+  var ans = 0;
+
+  for (var i = 0; i < terms.length; i++) {
+    var term = terms[i];
+    var inTitle = count(entry.lowerTitle, term);
+    var inCode = count(entry.lowerCode, term);
+    var inText = count(entry.lowerText, term);
+
+    if (inTitle + inCode + inText === 0) {
+      return 0;
+    }
+
+    ans += 10 * inTitle + 3 * inCode + inText;
+  }
+
+  return ans;
+}
+
+function search(query) {
+  var terms = termsOf(query);
+
+  if (terms.length === 0) {
+    return [];
+  }
+
+  return index
+    .map(function (entry) {
+      return { entry: entry, score: score(entry, terms) };
+    })
+    .filter(function (result) {
+      return result.score > 0;
+    })
+    .sort(function (a, b) {
+      return b.score - a.score;
+    })
+    .slice(0, maxResults)
+    .map(function (result) {
+      return result.entry;
+    });
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termsRegex(terms) {
+  return new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+}
+
+// The text as nodes, with every match in a <mark>.
+// We build the nodes rather than HTML, so a search for "amp"
+// can't mark up part of an escaped "&amp;":
+function markedNodes(text, regex, className) {
+  return text.split(regex).map(function (part, i) {
+    // The regex has one group, so the matches are at odd indices:
+    return i % 2 === 0
+      ? document.createTextNode(part)
+      : $("<mark>").addClass(className).text(part)[0];
+  });
+}
+
+// Text around the first match, with every match in <mark>:
+function snippet(entry, terms) {
+  var at = entry.lowerText.indexOf(terms[0]);
+  var start = Math.max(0, at - snippetRadius);
+  var text = at < 0 ? "" : entry.text.substr(start, 2 * snippetRadius);
+  var prefix = start > 0 ? "…" : "";
+
+  return markedNodes(prefix + text, termsRegex(terms), "");
+}
+
+// Highlighting in the book ----------------------
+
+function clearHighlights() {
+  $("mark.search-highlight").each(function () {
+    var parent = this.parentNode;
+    $(this).replaceWith(this.textContent);
+    parent.normalize();
+  });
+}
+
+// Highlight the terms in the text between a heading
+// and the next heading at the same or a higher level:
+function highlightSection(heading, terms) {
+  var level = Number(heading.tagName.substr(1));
+  var regex = termsRegex(terms);
+  var walker = document.createTreeWalker(
+    heading.parentNode,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT
+  );
+  var textNodes = [];
+
+  walker.currentNode = heading;
+
+  for (var node = walker.nextNode(); node != null; node = walker.nextNode()) {
+    if (/^H[1-6]$/.test(node.nodeName)) {
+      if (Number(node.nodeName.substr(1)) <= level) {
+        break;
+      }
+    } else if (node.nodeType === Node.TEXT_NODE && regex.test(node.data)) {
+      textNodes.push(node);
+    }
+
+    regex.lastIndex = 0;
+  }
+
+  textNodes.forEach(function (textNode) {
+    $(textNode).replaceWith(
+      markedNodes(textNode.data, regex, "search-highlight")
+    );
+  });
+}
+
+// Pages ----------------------------------------
+
+// The file name of this page on the chunked site:
+function currentPage() {
+  return window.location.pathname.split("/").pop() || "index.html";
+}
+
+// Sections on other pages of the chunked site carry the search terms
+// in the URL, so we can highlight them when the page loads:
+function hrefOf(entry, terms) {
+  if (entry.page == null || entry.page === currentPage()) {
+    return `#${entry.id}`;
+  }
+
+  var query = encodeURIComponent(terms.join(" "));
+  return `${entry.page}?highlight=${query}#${entry.id}`;
+}
+
+function highlightFromUrl() {
+  var query = new URLSearchParams(window.location.search).get("highlight");
+  var id = decodeURIComponent(window.location.hash.substring(1));
+  var heading = id === "" ? null : document.getElementById(id);
+
+  if (query != null && heading != null) {
+    highlightSection(heading, termsOf(query));
+  }
+}
+
+function goTo(entry, terms) {
+  if (entry.page != null && entry.page !== currentPage()) {
+    window.location.href = hrefOf(entry, terms);
+    return;
+  }
+
+  var heading = document.getElementById(entry.id);
+
+  clearHighlights();
+
+  if (heading != null) {
+    highlightSection(heading, terms);
+    window.location.hash = entry.id;
+  }
+}
+
+// Search box ------------------------------------
+
+function render(results, list, terms) {
+  list.empty();
+
+  results.forEach(function (entry) {
+    $("<li>")
+      .append(
+        $("<a>")
+          .attr("href", hrefOf(entry, terms))
+          .append($("<strong>").text(entry.title))
+          .append(
+            $("<span class='search-snippet'>").append(snippet(entry, terms))
+          )
+          .click(function (evt) {
+            evt.preventDefault();
+            list.empty();
+            goTo(entry, terms);
+          })
+      )
+      .appendTo(list);
+  });
+
+  list
+    .attr("aria-label", message("searchResults", { count: results.length }))
+    .toggle(results.length > 0);
+}
+
+// The index is embedded in the page as JSON,
+// or a script shared by the pages has put it in window.searchIndex.
+// Calls back with the entries, or null if there's no index:
+function loadIndex(selector, callback) {
+  var elem = $(selector);
+
+  if (elem.length === 0) {
+    callback(null);
+  } else if (elem.attr("src") == null) {
+    callback(JSON.parse(elem.text()));
+  } else {
+    callback(window.searchIndex != null ? window.searchIndex : null);
+  }
+}
+
+function prepareIndex(entries) {
+  index = entries.map(function (entry) {
+    return $.extend({}, entry, {
+      lowerTitle: entry.title.toLowerCase(),
+      lowerText: entry.text.toLowerCase(),
+      lowerCode: entry.code.join(" ").toLowerCase(),
+    });
+  });
+}
+
+function init(indexSelector, inputSelector, resultsSelector) {
+  var input = $(inputSelector);
+  var list = $(resultsSelector).hide();
+
+  highlightFromUrl();
+
+  loadIndex(indexSelector, function (entries) {
+    if (entries == null) {
+      input.closest("form").hide();
+    } else {
+      prepareIndex(entries);
+    }
+  });
+
+  input.on("input", function () {
+    var query = input.val();
+    render(search(query), list, termsOf(query));
+  });
+
+  input.on("keydown", function (evt) {
+    if (evt.key === "Escape") {
+      input.val("").blur();
+      list.empty().hide();
+      clearHighlights();
+    } else if (evt.key === "Enter") {
+      list.find("a").first().click();
+    }
+  });
+}
+
+function focus() {
+  $(".search-input").focus();
+}
+
+module.exports = { init, search, focus };
@@ -0,0 +1,133 @@
+var $ = require("jquery");
+
+var progress = require("./progress");
+
+// Tracks the section the reader is currently reading:
+// highlights it in the table of contents,
+// shows its title in the navbar,
+// and remembers the reading position between visits.
+
+var headings = $();
+var current = null;
+
+// How long scrolling has to stop before we save the position:
+var saveDelay = 250;
+var saveTimer = null;
+
+function navbarHeight() {
+  return $("nav.navbar").outerHeight() || 0;
+}
+
+// The last heading above the top of the viewport (below the navbar):
+function findCurrent() {
+  var top = $(window).scrollTop() + navbarHeight() + 1;
+  var ans = null;
+
+  headings.each(function () {
+    if ($(this).offset().top <= top) {
+      ans = this;
+    } else {
+      return false; // stop iterating
+    }
+  });
+
+  return ans;
+}
+
+// Remember how far into the current section the reader has scrolled:
+function savePosition() {
+  if (current != null) {
+    var top = $(window).scrollTop() + navbarHeight();
+    var offset = Math.max(0, Math.round(top - $(current).offset().top));
+    progress.setLastPosition(current.id, offset);
+  }
+}
+
+function schedulePosition() {
+  window.clearTimeout(saveTimer);
+  saveTimer = window.setTimeout(savePosition, saveDelay);
+}
+
+function update(indicator) {
+  var found = findCurrent();
+
+  schedulePosition();
+
+  if (found === current) {
+    return;
+  }
+
+  current = found;
+
+  var id = current == null ? null : current.id;
+  var toc = $("nav.navbar details");
+
+  toc.find("a.active").removeClass("active").removeAttr("aria-current");
+
+  if (id != null) {
+    toc
+      .find(`a[href="#${$.escapeSelector(id)}"]`)
+      .addClass("active")
+      .attr("aria-current", "location");
+  }
+
+  indicator.text(current == null ? "" : $(current).text());
+}
+
+function scrollToHeading(heading, offset) {
+  if (heading != null) {
+    var top = $(heading).offset().top - navbarHeight() + (offset || 0);
+    window.scrollTo(0, top);
+  }
+}
+
+// Move n sections forwards (n > 0) or backwards (n < 0):
+function move(n) {
+  var index = current == null ? -1 : headings.index(current);
+  var target = Math.max(0, Math.min(headings.length - 1, index + n));
+  scrollToHeading(headings.get(target));
+}
+
+function next() {
+  move(1);
+}
+
+function previous() {
+  move(-1);
+}
+
+function currentHeading() {
+  return current;
+}
+
+function init(selector, indicator) {
+  headings = $(selector);
+  indicator = $(indicator);
+
+  // Return to where the reader left off,
+  // unless they followed a link to a specific anchor:
+  var last = progress.lastPosition();
+  if (window.location.hash === "" && last.section != null) {
+    scrollToHeading(document.getElementById(last.section), last.offset);
+  }
+
+  var scheduled = false;
+  $(window).on("scroll resize", function () {
+    if (!scheduled) {
+      scheduled = true;
+      window.requestAnimationFrame(function () {
+        scheduled = false;
+        update(indicator);
+      });
+    }
+  });
+
+  update(indicator);
+}
+
+module.exports = {
+  init,
+  next,
+  previous,
+  currentHeading,
+};
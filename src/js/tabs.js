@@ -0,0 +1,79 @@
+var $ = require("jquery");
+
+// Turns a container of panels into tabs.
+// Each panel has a data-label attribute for its tab,
+// and a .tab-label heading that we hide once it has a tab
+// (see src/filters/html/compare.js).
+// When the reader picks a tab, the container triggers a "tab-chosen" event
+// with the panel (see src/js/variants.js):
+
+var counter = 0;
+
+function select(container, index) {
+  container
+    .find("> .tab-list > .tab")
+    .each(function (i) {
+      $(this)
+        .toggleClass("active", i === index)
+        .attr("aria-selected", i === index ? "true" : "false")
+        .attr("tabindex", i === index ? "0" : "-1");
+    });
+
+  container.find("> .tab-panel").each(function (i) {
+    $(this).prop("hidden", i !== index);
+  });
+}
+
+function choose(container, index) {
+  select(container, index);
+  var panel = container.children(".tab-panel").get(index);
+  container.trigger("tab-chosen", [panel]);
+}
+
+function initContainer(container) {
+  var panels = container.children(".tab-panel");
+  var list = $('<div class="tab-list" role="tablist"></div>');
+
+  panels.each(function (i) {
+    var panel = $(this);
+    var id = `tab-panel-${++counter}`;
+
+    panel
+      .attr("id", id)
+      .attr("role", "tabpanel")
+      .children(".tab-label")
+      .hide();
+
+    $('<button type="button" class="tab" role="tab"></button>')
+      .text(panel.attr("data-label"))
+      .attr("aria-controls", id)
+      .on("click", function () {
+        choose(container, i);
+      })
+      .appendTo(list);
+  });
+
+  // Arrow keys move between tabs:
+  list.on("keydown", ".tab", function (evt) {
+    var step = { ArrowLeft: -1, ArrowRight: 1 }[evt.key];
+
+    if (step != null) {
+      var tabs = list.children(".tab");
+      var index = (tabs.index(this) + step + tabs.length) % tabs.length;
+      choose(container, index);
+      tabs.eq(index).trigger("focus");
+      evt.preventDefault();
+    }
+  });
+
+  container.prepend(list).addClass("tabs-ready");
+  select(container, 0);
+}
+
+function init(selector) {
+  $(selector).each(function () {
+    initContainer($(this));
+  });
+}
+
+module.exports = { init, select };
@@ -0,0 +1,60 @@
+var $ = require("jquery");
+var tabs = require("./tabs");
+
+// Variants are tabs of the same code in different versions of Scala
+// (see src/filters/html/variants.js).
+// When the reader picks a variant, every set of variants shows it,
+// and we remember the choice between visits.
+
+// The chosen variant lives in localStorage under this key:
+var storageKey = "scala-with-cats:variant";
+
+// localStorage can be unavailable (e.g. private browsing),
+// in which case we quietly forget the choice:
+function load() {
+  try {
+    return window.localStorage.getItem(storageKey);
+  } catch (err) {
+    return null;
+  }
+}
+
+function save(variant) {
+  try {
+    window.localStorage.setItem(storageKey, variant);
+  } catch (err) {
+    // Ignore
+  }
+}
+
+function show(containers, variant) {
+  containers.each(function () {
+    var container = $(this);
+    var panels = container.children(".tab-panel");
+    var index = panels.index(panels.filter(`[data-variant="${variant}"]`));
+
+    if (index >= 0) {
+      tabs.select(container, index);
+    }
+  });
+}
+
+function init(selector) {
+  var containers = $(selector);
+  var stored = load();
+
+  if (stored != null) {
+    show(containers, stored);
+  }
+
+  containers.on("tab-chosen", function (evt, panel) {
+    var variant = $(panel).attr("data-variant");
+
+    if (variant != null) {
+      save(variant);
+      show(containers.not(this), variant);
+    }
+  });
+}
+
+module.exports = { init };
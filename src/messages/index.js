@@ -0,0 +1,107 @@
+/*
+Message catalogs for the text our filters and scripts generate,
+e.g. "See the solution" or "(click to reveal)".
+
+Each catalog is a JSON file named after a language (en.json).
+Messages can have placeholders like `$number`,
+and messages that count things have a form for each plural category
+of the language ("one", "few", "other", ...) chosen by `$count`:
+
+    "searchResults": { "one": "$count result", "other": "$count results" }
+
+The filters pick a catalog using the document's `lang` metadata,
+and the scripts using the `lang` attribute of the page.
+Messages missing from a catalog fall back to English.
+
+To add a translation, copy en.json and add it to `catalogs` below
+(browserify needs to see each catalog required by name).
+*/
+
+const catalogs = {
+  en: require("./en.json"),
+};
+
+const defaultLang = "en";
+
+// Catalogs --------------------------------------
+
+// string -> or(string, null)
+//
+// "fr-CA" -> "fr" if we have French but not Canadian French:
+function langFor(lang) {
+  if (lang == null) {
+    return defaultLang;
+  }
+
+  const primary = lang.split("-")[0].toLowerCase();
+
+  if (Object.prototype.hasOwnProperty.call(catalogs, lang)) {
+    return lang;
+  } else if (Object.prototype.hasOwnProperty.call(catalogs, primary)) {
+    return primary;
+  } else {
+    return null;
+  }
+}
+
+// Formatting ------------------------------------
+
+// string object -> string
+//
+// fill("Hint $number", { number: 2 }) -> "Hint 2"
+//
+// Placeholders with no value are left as they are:
+function fill(template, params = {}) {
+  return template.replace(/\$([a-zA-Z]+)/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(params, name)
+      ? `${params[name]}`
+      : placeholder
+  );
+}
+
+// or(string, object) string object -> string
+function pluralize(message, lang, params) {
+  if (typeof message === "string") {
+    return message;
+  }
+
+  const category = new Intl.PluralRules(lang).select(params.count);
+  return message[category] != null ? message[category] : message.other;
+}
+
+// object -> (string object -> string)
+//
+// A function from message keys and parameters to text.
+// The catalog is an object like the contents of en.json,
+// which lets the tests try out catalogs we don't ship:
+function fromCatalog(catalog, lang) {
+  return function message(key, params = {}) {
+    const found =
+      catalog[key] != null ? catalog[key] : catalogs[defaultLang][key];
+
+    if (found == null) {
+      throw new Error(`No message "${key}"`);
+    }
+
+    const usedLang = catalog[key] != null ? lang : defaultLang;
+    return fill(pluralize(found, usedLang, params), params);
+  };
+}
+
+// or(string, undefined) -> (string object -> string)
+//
+// The messages for a language, or English if we have no catalog for it:
+function forLang(lang) {
+  const found = langFor(lang);
+
+  return found == null
+    ? fromCatalog(catalogs[defaultLang], defaultLang)
+    : fromCatalog(catalogs[found], found);
+}
+
+module.exports = {
+  langFor,
+  fill,
+  fromCatalog,
+  forLang,
+};
@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const path = require("path");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const apiLinks = require("../../../filters/common/api-links");
+
+test("finds the symbol in inline code", () => {
+  assert.strictEqual(apiLinks.symbolOf("Functor"), "Functor");
+  assert.strictEqual(apiLinks.symbolOf("Monad[Option]"), "Monad");
+  assert.strictEqual(apiLinks.symbolOf(".traverse"), "traverse");
+  assert.strictEqual(
+    apiLinks.symbolOf("cats.data.Kleisli"),
+    "cats.data.Kleisli"
+  );
+});
+
+test("links the first mention of each symbol in a section", async () => {
+  const actual = await filterFixture(
+    "api-links",
+    [apiLinks.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "api-links");
+});
+
+test("reads symbols from the file named in the metadata", async () => {
+  const doc = fixture("api-links");
+  doc.meta.apiLinks.c.file = {
+    t: "MetaString",
+    c: path.join(__dirname, "../../../meta/api-links.json"),
+  };
+  delete doc.meta.apiLinks.c.symbols;
+
+  const actual = await runFilters([apiLinks.createFilter()], doc, "html5");
+  const [unused, para] = actual.blocks;
+
+  assert.deepStrictEqual(para.c[2], {
+    t: "Link",
+    c: [
+      ["", ["api-link"], []],
+      [{ t: "Code", c: [["", [], []], "Functor"] }],
+      ["http://typelevel.org/cats/api/cats/Functor.html", ""],
+    ],
+  });
+});
+
+test("keeps the dollar signs in scaladoc URLs", async () => {
+  const doc = fixture("api-links");
+  doc.meta.apiLinks.c.file = {
+    t: "MetaString",
+    c: path.join(__dirname, "../../../meta/api-links.json"),
+  };
+  delete doc.meta.apiLinks.c.symbols;
+  doc.blocks = [{ t: "Para", c: [{ t: "Code", c: [["", [], []], "mapN"] }] }];
+
+  const actual = await runFilters([apiLinks.createFilter()], doc, "html5");
+  const [link] = actual.blocks[0].c;
+
+  assert.deepStrictEqual(link.c[2], [
+    "http://typelevel.org/cats/api/cats/syntax/package$semigroupal$",
+    "",
+  ]);
+});
+
+test("doesn't link anything in print books", async () => {
+  const doc = fixture("api-links");
+  doc.meta.blackandwhiteprintable = { t: "MetaBool", c: true };
+
+  const actual = await runFilters([apiLinks.createFilter()], doc, "latex");
+  assert.deepStrictEqual(actual, doc);
+});
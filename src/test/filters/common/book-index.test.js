@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const pandoc = require("pandoc-filter");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const bookIndex = require("../../../filters/common/book-index");
+
+test("marks index terms for LaTeX", async () => {
+  const actual = await filterFixture(
+    "book-index",
+    [bookIndex.createFilter("pdf")],
+    "latex"
+  );
+
+  assertGolden(actual, "book-index.pdf");
+});
+
+test("generates an index with anchors for HTML", async () => {
+  const actual = await filterFixture(
+    "book-index",
+    [bookIndex.createFilter("html")],
+    "html5"
+  );
+
+  assertGolden(actual, "book-index.html");
+});
+
+test("renders nothing without any terms", async () => {
+  const doc = fixture("book-index");
+  doc.blocks = doc.blocks.slice(-1);
+
+  for (const target of ["pdf", "html"]) {
+    const filter = bookIndex.createFilter(target);
+    const actual = await runFilters([filter], doc, "json");
+    assert.deepStrictEqual(actual.blocks, []);
+  }
+});
+
+test("groups terms by letters in any alphabet", async () => {
+  const term = (text) => pandoc.Span(["", ["index"], []], [pandoc.Str(text)]);
+
+  const doc = {
+    "pandoc-api-version": [1, 23, 1],
+    meta: {},
+    blocks: [
+      pandoc.Header(1, ["terms", [], []], [pandoc.Str("Terms")]),
+      pandoc.Para(["zip", "Éclair", "apply", "λ", "_", "echo"].map(term)),
+      pandoc.Div(["", ["book-index"], []], []),
+    ],
+  };
+
+  const actual = await runFilters(
+    [bookIndex.createFilter("html")],
+    doc,
+    "html5"
+  );
+
+  const groups = actual.blocks
+    .filter((block) => block.t === "Div")
+    .flatMap((block) => block.c[1])
+    .map((group) => [
+      pandoc.stringify(group.c[1][0]),
+      group.c[1][1].c.map((item) => pandoc.stringify(item).split(":")[0]),
+    ]);
+
+  assert.deepStrictEqual(groups, [
+    ["Symbols", ["_"]],
+    ["A", ["apply"]],
+    ["E", ["echo"]],
+    ["É", ["Éclair"]],
+    ["Z", ["zip"]],
+    ["Λ", ["λ"]],
+  ]);
+});
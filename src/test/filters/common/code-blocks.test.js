@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { fixture } = require("../harness");
+const codeBlocks = require("../../../filters/common/code-blocks");
+
+test("parses line ranges", (t) => {
+  const error = t.mock.method(console, "error", () => {});
+
+  assert.deepStrictEqual(codeBlocks.parseRanges("2, 4-5,3,x"), [2, 3, 4, 5]);
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    ['Bad line range "x" in highlight="2, 4-5,3,x".']
+  );
+});
+
+test("strips callout markers from the code", () => {
+  const [block] = fixture("code-blocks").blocks;
+  const listing = codeBlocks.parseListing(block);
+
+  assert.deepStrictEqual(listing.highlight, [2, 4, 5]);
+  assert.deepStrictEqual(
+    listing.callouts.map((callout) => [callout.line, callout.number]),
+    [
+      [3, 1],
+      [5, 2],
+    ]
+  );
+  assert.ok(!listing.text.includes("<1>"));
+  assert.deepStrictEqual(listing.kvs, []);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const conditional = require("../../../filters/common/conditional");
+
+test("keeps the PDF's content", async () => {
+  const actual = await filterFixture(
+    "conditional",
+    [conditional.createFilter("pdf")],
+    "latex"
+  );
+
+  assertGolden(actual, "conditional.pdf");
+});
+
+test("keeps the HTML's content", async () => {
+  const actual = await filterFixture(
+    "conditional",
+    [conditional.createFilter("html")],
+    "html5"
+  );
+
+  assertGolden(actual, "conditional.html");
+});
+
+test("keeps the print edition's content", async () => {
+  const doc = fixture("conditional");
+  doc.meta.blackandwhiteprintable = { t: "MetaBool", c: true };
+
+  const actual = await runFilters(
+    [conditional.createFilter("pdf")],
+    doc,
+    "latex"
+  );
+
+  assertGolden(actual, "conditional.print");
+});
+
+test("warns about unknown targets and flags", (t) => {
+  const error = t.mock.method(console, "error", () => {});
+
+  assert.strictEqual(conditional.holds([["only", "web"]], "html", {}), false);
+  assert.strictEqual(conditional.holds([["when", "beta"]], "html", {}), false);
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    [
+      'Unknown target "web" in condition "web".',
+      'Unknown flag "beta" in when="...". Treating as unset.',
+    ]
+  );
+});
@@ -0,0 +1,166 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runFilters } = require("../../../filters/pipeline");
+const diagrams = require("../../../filters/common/diagrams");
+
+const source = 'digraph {\n  "F[A]" -> "F[B]"\n}';
+
+function diagramDoc(cacheDir, kvs = [], language = "dot", text = source) {
+  return {
+    "pandoc-api-version": [1, 23, 1],
+    meta: {
+      diagrams: {
+        t: "MetaMap",
+        c: { cacheDir: { t: "MetaString", c: cacheDir } },
+      },
+    },
+    blocks: [{ t: "CodeBlock", c: [["", [language], kvs], text] }],
+  };
+}
+
+// string string -> string
+//
+// A temporary directory holding a fake tool (`dot` by default)
+// that logs each run and writes its arguments and input as the diagram:
+function fakeTool(dir, command = "dot") {
+  const bin = path.join(dir, "bin");
+  fs.mkdirSync(bin);
+  fs.writeFileSync(
+    path.join(bin, command),
+    `#!/bin/sh\necho run >> "${dir}/runs.log"\necho "$@"\ncat\n`,
+    { mode: 0o755 }
+  );
+  return bin;
+}
+
+// arrayOf(string) (-> Promise(any)) -> Promise(any)
+//
+// Run f with only these directories on the PATH:
+async function withPath(dirs, f) {
+  const original = process.env.PATH;
+  process.env.PATH = dirs.join(path.delimiter);
+
+  try {
+    return await f();
+  } finally {
+    process.env.PATH = original;
+  }
+}
+
+test("renders diagrams once and caches them", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diagrams-"));
+  const cacheDir = path.join(dir, "cache");
+  const file = diagrams.cacheFile(cacheDir, "dot", "svg", source);
+
+  const filterHtml = () =>
+    runFilters([diagrams.createFilter("html")], diagramDoc(cacheDir), "html5");
+
+  const [first, second] = await withPath(
+    [fakeTool(dir), "/bin"],
+    async () => [await filterHtml(), await filterHtml()]
+  );
+
+  assert.deepStrictEqual(first, second);
+  assert.deepStrictEqual(first.blocks, [
+    {
+      t: "Div",
+      c: [
+        ["", ["diagram"], []],
+        [
+          {
+            t: "Para",
+            c: [
+              {
+                t: "Image",
+                c: [
+                  ["", [], []],
+                  [{ t: "Str", c: 'digraph { "F[A]" -> "F[B]" }' }],
+                  [file, ""],
+                ],
+              },
+            ],
+          },
+        ],
+      ],
+    },
+  ]);
+  assert.strictEqual(fs.readFileSync(file, "utf8"), `-Tsvg\n${source}`);
+  assert.strictEqual(
+    fs.readFileSync(path.join(dir, "runs.log"), "utf8"),
+    "run\n"
+  );
+});
+
+test("renders captioned diagrams as figures", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diagrams-"));
+  const cacheDir = path.join(dir, "cache");
+
+  const actual = await withPath([fakeTool(dir), "/bin"], () =>
+    runFilters(
+      [diagrams.createFilter("pdf")],
+      diagramDoc(cacheDir, [
+        ["caption", "Sequencing"],
+        ["alt", "F[A] becomes F[B]"],
+      ]),
+      "latex"
+    )
+  );
+
+  const [figure] = actual.blocks;
+  const [attr, caption, [image]] = figure.c;
+
+  assert.strictEqual(figure.t, "Figure");
+  assert.deepStrictEqual(attr, ["", ["diagram"], []]);
+  assert.deepStrictEqual(caption, [
+    null,
+    [{ t: "Plain", c: [{ t: "Str", c: "Sequencing" }] }],
+  ]);
+  assert.deepStrictEqual(image.c[0].c[1], [
+    { t: "Str", c: "F[A] becomes F[B]" },
+  ]);
+  assert.ok(image.c[0].c[2][0].endsWith(".pdf"));
+});
+
+test("keeps the code block if the tool is missing", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diagrams-"));
+  const doc = diagramDoc(path.join(dir, "cache"));
+
+  const actual = await withPath([dir], () =>
+    runFilters([diagrams.createFilter("epub")], doc, "epub3")
+  );
+
+  assert.deepStrictEqual(actual.blocks, doc.blocks);
+  assert.strictEqual(error.mock.calls.length, 1);
+  assert.match(error.mock.calls[0].arguments[0], /^Couldn't run "dot"/);
+});
+
+test("renders PlantUML diagrams, as PNGs for the PDF", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diagrams-"));
+  const cacheDir = path.join(dir, "cache");
+  const uml = "Alice -> Bob: flatMap";
+  const doc = diagramDoc(cacheDir, [], "plantuml", uml);
+
+  const [pdf, html] = await withPath(
+    [fakeTool(dir, "plantuml"), "/bin"],
+    async () => [
+      await runFilters([diagrams.createFilter("pdf")], doc, "latex"),
+      await runFilters([diagrams.createFilter("html")], doc, "html5"),
+    ]
+  );
+
+  const fileOf = (actual) => actual.blocks[0].c[1][0].c[0].c[2][0];
+
+  assert.strictEqual(
+    fileOf(pdf),
+    diagrams.cacheFile(cacheDir, "plantuml", "png", uml)
+  );
+  assert.strictEqual(
+    fs.readFileSync(fileOf(html), "utf8"),
+    `-pipe -tsvg\n@startuml\n${uml}\n@enduml\n`
+  );
+});
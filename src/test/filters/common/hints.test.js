@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+
+const { fixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const solutions = require("../../../filters/common/solutions");
+
+test("moves hints to their own appendix with links in both directions", async () => {
+  const actual = await runFilters(
+    [solutions.createFilter()],
+    fixture("hints"),
+    "latex"
+  );
+
+  assertGolden(actual, "hints.appendix");
+});
+
+test("leaves hints inline when configured to", async () => {
+  const doc = fixture("hints");
+  doc.meta.hints.c.placement = {
+    t: "MetaInlines",
+    c: [{ t: "Str", c: "inline" }],
+  };
+
+  const actual = await runFilters([solutions.createFilter()], doc, "latex");
+
+  assertGolden(actual, "hints.inline");
+});
@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { fixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const solutions = require("../../../filters/common/solutions");
+
+async function manifestOf(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  const file = path.join(dir, "exercises.json");
+
+  const doc = fixture(name);
+  doc.meta.exerciseManifest = { t: "MetaString", c: file };
+
+  try {
+    await runFilters([solutions.createFilter()], doc, "latex");
+    return JSON.parse(fs.readFileSync(file));
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test("writes a manifest of exercises and solution languages", async () => {
+  assertGolden(await manifestOf("solutions"), "solutions.manifest");
+});
+
+test("includes hint anchors in the manifest", async () => {
+  assertGolden(await manifestOf("hints"), "hints.manifest");
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const merge = require("../../../filters/common/merge-code");
+
+test("merges adjacent code blocks with matching attributes", async () => {
+  const actual = await filterFixture(
+    "merge-code",
+    [merge.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "merge-code");
+});
@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const catalogs = require("../../../messages");
+const messages = require("../../../filters/common/messages");
+const { runFilters } = require("../../../filters/pipeline");
+
+// A catalog we don't ship, to check fallbacks and plural forms:
+const polish = {
+  seeSolution: "Zobacz rozwiązanie",
+  searchResults: {
+    one: "$count wynik",
+    few: "$count wyniki",
+    many: "$count wyników",
+    other: "$count wyniku",
+  },
+};
+
+test("fills in placeholders", () => {
+  assert.strictEqual(
+    messages.fill("Hint $number: $title $part", { number: 2, title: "Monads" }),
+    "Hint 2: Monads $part"
+  );
+});
+
+test("picks plural forms for the language", () => {
+  const english = catalogs.forLang("en");
+  const message = catalogs.fromCatalog(polish, "pl");
+
+  assert.strictEqual(english("searchResults", { count: 1 }), "1 result");
+  assert.strictEqual(english("searchResults", { count: 3 }), "3 results");
+  assert.strictEqual(message("searchResults", { count: 3 }), "3 wyniki");
+  assert.strictEqual(message("searchResults", { count: 5 }), "5 wyników");
+});
+
+test("falls back to English", () => {
+  const message = catalogs.fromCatalog(polish, "pl");
+
+  assert.strictEqual(message("seeSolution"), "Zobacz rozwiązanie");
+  assert.strictEqual(message("seeHint", { number: 2 }), "See hint 2");
+  assert.strictEqual(catalogs.langFor("en-GB"), "en");
+  assert.strictEqual(catalogs.langFor("pl"), null);
+});
+
+test("warns once about languages with no catalog", (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const meta = { lang: { t: "MetaInlines", c: [{ t: "Str", c: "pl" }] } };
+
+  assert.strictEqual(messages.forMeta(meta)("seeSolution"), "See the solution");
+  assert.strictEqual(messages.forMeta(meta)("index"), "Index");
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    ['No messages for language "pl". Using English.']
+  );
+});
+
+test("puts messages for the templates in the metadata", async () => {
+  const doc = { "pandoc-api-version": [1, 23, 1], meta: {}, blocks: [] };
+
+  const actual = await runFilters(
+    [messages.createFilter(["tableOfContents", "searchLabel"])],
+    doc,
+    "html5"
+  );
+
+  assert.deepStrictEqual(actual.meta.messages, {
+    t: "MetaMap",
+    c: {
+      tableOfContents: { t: "MetaString", c: "Table of Contents" },
+      searchLabel: { t: "MetaString", c: "Search the book" },
+    },
+  });
+});
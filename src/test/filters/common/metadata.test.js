@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const metadata = require("../../../filters/common/metadata");
+const { schema } = require("../../../filters/common/schema");
+
+const str = (c) => ({ t: "MetaString", c });
+const inlines = (text) => ({ t: "MetaInlines", c: [{ t: "Str", c: text }] });
+const bool = (c) => ({ t: "MetaBool", c });
+const list = (c) => ({ t: "MetaList", c });
+const map = (c) => ({ t: "MetaMap", c });
+
+const meta = {
+  title: inlines("Scala"),
+  printable: bool(true),
+  draft: str("false"),
+  level: inlines("3"),
+  authors: list([inlines("Noel"), inlines("Dave")]),
+  solutions: map({ headingLevel: inlines("two") }),
+};
+
+test("reads typed values, falling back on missing or ill-typed keys", () => {
+  assert.strictEqual(metadata.getString(meta, ["title"]), "Scala");
+  assert.strictEqual(metadata.getInt(meta, ["level"]), 3);
+  assert.strictEqual(
+    metadata.getInt(meta, ["solutions", "headingLevel"], 2),
+    2
+  );
+  assert.strictEqual(metadata.getBool(meta, ["printable"], false), true);
+  assert.strictEqual(metadata.getBool(meta, ["draft"], true), false);
+  assert.strictEqual(metadata.getBool(meta, ["missing"], false), false);
+  assert.deepStrictEqual(metadata.getList(meta, ["authors"]), [
+    inlines("Noel"),
+    inlines("Dave"),
+  ]);
+  assert.strictEqual(metadata.getList(meta, ["title"], null), null);
+  assert.deepStrictEqual(metadata.getMap(meta, ["solutions"]), {
+    headingLevel: inlines("two"),
+  });
+  assert.deepStrictEqual(metadata.getInlines(meta, ["title"]), [
+    { t: "Str", c: "Scala" },
+  ]);
+});
+
+test("warns about unknown and ill-typed keys", () => {
+  const actual = metadata.check(
+    {
+      title: inlines("Scala"),
+      titel: inlines("Scala"),
+      blackandwhiteprintable: inlines("yes"),
+      solutions: map({
+        headingLevel: inlines("two"),
+        exerciseHeadingLevel: inlines("3"),
+      }),
+      hints: inlines("none"),
+    },
+    schema
+  );
+
+  assert.deepStrictEqual(actual, [
+    'Unknown metadata key "titel".',
+    'Metadata key "blackandwhiteprintable" should have type bool.',
+    'Metadata key "solutions.headingLevel" should have type int.',
+    'Unknown metadata key "solutions.exerciseHeadingLevel".',
+    'Metadata key "hints" should have type map.',
+  ]);
+});
+
+// string -> arrayOf(arrayOf(string))
+//
+// The key paths in one of our (simple) YAML metadata files:
+function yamlKeys(file) {
+  const keys = [];
+  const stack = [];
+
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    const match = line.match(/^( *)"?([A-Za-z-]+)"?:/);
+
+    if (match != null) {
+      const depth = match[1].length / 2;
+      stack.length = depth;
+      stack.push(match[2]);
+      keys.push([...stack]);
+    }
+  }
+
+  return keys;
+}
+
+test("the schema covers every key in src/meta", () => {
+  const dir = path.join(__dirname, "../../../meta");
+
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".yaml")) {
+      continue;
+    }
+
+    for (const key of yamlKeys(path.join(dir, name))) {
+      const type = key.reduce((ans, part) => ans && ans[part], schema);
+      assert.ok(type != null, `${name}: ${key.join(".")} isn't in the schema`);
+    }
+  }
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const pandoc = require("pandoc-filter");
+
+const { fixture, assertGolden } = require("../harness");
+const catalogs = require("../../../messages");
+const { runFilters } = require("../../../filters/pipeline");
+const solutions = require("../../../filters/common/solutions");
+
+test("moves solutions to the appendix with links in both directions", async () => {
+  const actual = await runFilters(
+    [solutions.createFilter()],
+    fixture("solutions"),
+    "latex"
+  );
+
+  assertGolden(actual, "solutions.links");
+});
+
+test("refers to page numbers in print books", async () => {
+  const doc = fixture("solutions");
+  doc.meta.blackandwhiteprintable = { t: "MetaBool", c: true };
+
+  const actual = await runFilters([solutions.createFilter()], doc, "latex");
+
+  assertGolden(actual, "solutions.printable");
+});
+
+test("reports duplicate solution labels", async (t) => {
+  const doc = fixture("solutions");
+  const [first] = doc.blocks.filter(
+    (block) => block.t === "Div" && block.c[0][1][0] === "solution"
+  );
+  first.c[0][0] = "solution:two-parts:second";
+
+  const error = t.mock.method(console, "error", () => {});
+  await runFilters([solutions.createFilter()], doc, "latex");
+
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    ['Duplicate solution label "solution:two-parts:second" in "Two Parts".']
+  );
+});
+
+test("puts page numbers where the language needs them", () => {
+  const japanese = catalogs.fromCatalog(
+    { onPage: "$page ページの$target" },
+    "ja"
+  );
+  const noPage = catalogs.fromCatalog({ onPage: "$target, Seite" }, "de");
+
+  assert.deepStrictEqual(
+    solutions.pageReference("解答", "solution:1", japanese),
+    pandoc.Para([
+      pandoc.RawInline("latex", "\\pageref{solution:1}"),
+      pandoc.Space(),
+      pandoc.Str("ページの解答"),
+    ])
+  );
+
+  // Catalogs with no $page get the number at the end:
+  assert.deepStrictEqual(
+    solutions.pageReference("Lösung", "solution:1", noPage),
+    pandoc.Para([
+      pandoc.Str("Lösung, Seite"),
+      pandoc.Space(),
+      pandoc.RawInline("latex", "\\pageref{solution:1}"),
+    ])
+  );
+});
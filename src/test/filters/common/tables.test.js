@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { fixture } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const tables = require("../../../filters/common/tables");
+
+// pandoc -> Promise(arrayOf(node))
+//
+// The tables the renderer receives:
+async function renderTables(doc) {
+  const rendered = [];
+
+  const filter = tables.createFilter((table) => {
+    rendered.push(table);
+    return table;
+  });
+
+  await runFilters([filter], doc, "json");
+  return rendered;
+}
+
+test("applies width and alignment hints", async () => {
+  const [plain, hinted] = await renderTables(fixture("tables"));
+  const [attr, caption, colspecs] = hinted.c;
+
+  assert.deepStrictEqual(attr, ["tbl:type-classes", ["book-table"], []]);
+  assert.deepStrictEqual(colspecs, [
+    [{ t: "AlignLeft" }, { t: "ColWidth", c: 0.5 }],
+    [{ t: "AlignCenter" }, { t: "ColWidth", c: 0.25 }],
+    [{ t: "AlignRight" }, { t: "ColWidth", c: 0.25 }],
+  ]);
+  assert.deepStrictEqual(plain.c[2], fixture("tables").blocks[0].c[2]);
+});
+
+test("warns about hints that don't fit the table", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const doc = fixture("tables");
+  doc.blocks[1].c[0][2] = [
+    ["widths", "1,2"],
+    ["align", "lcx"],
+  ];
+
+  const [plain, hinted] = await renderTables(doc);
+
+  assert.deepStrictEqual(hinted.c[2], fixture("tables").blocks[1].c[2]);
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    [
+      'Table widths "1,2" should be 3 positive numbers.',
+      'Table alignment "lcx" should be 3 of the letters lcrd.',
+    ]
+  );
+});
+
+test("labels columns with their headings", () => {
+  const [plain, hinted] = fixture("tables").blocks;
+
+  assert.deepStrictEqual(tables.columnLabels(plain), ["A", "B"]);
+  assert.deepStrictEqual(tables.columnLabels(hinted), [
+    "Type class",
+    "Method",
+    "Laws",
+  ]);
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const unwrap = require("../../../filters/common/unwrap-code");
+
+test("strips object wrappers and unindents their bodies", async () => {
+  const actual = await filterFixture(
+    "unwrap-code",
+    [unwrap.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "unwrap-code");
+});
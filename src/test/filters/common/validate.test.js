@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { fixture } = require("../harness");
+const { runFilters, targets } = require("../../../filters/pipeline");
+const solutions = require("../../../filters/common/solutions");
+const validate = require("../../../filters/common/validate");
+
+const linksFile = path.join(__dirname, "../fixtures/validate-links.md");
+
+test("reports broken anchors, duplicates, and unknown links", async () => {
+  // Solutions link back to their exercises once solutions.js has run:
+  const doc = await runFilters([solutions.createFilter()], fixture("validate"));
+
+  const actual = validate.createProblems(doc, {
+    definitions: validate.parseDefinitions(fs.readFileSync(linksFile, "utf8")),
+    allowlist: ["http://typelevel.org/"],
+  });
+
+  assert.deepStrictEqual(actual, [
+    'Duplicate identifier "writer" (used 2 times).',
+    'Link to missing anchor "#sec:functors".',
+    'Unresolved cross-reference "sec:missing".',
+    'Solution after "Monads" has no exercise heading.',
+    'Unused link definition "[cats.data.Reader]: ' +
+      'http://typelevel.org/cats/api/cats/data/Reader.html".',
+    'Link to "https://example.com/post" is not in the URL allowlist.',
+  ]);
+});
+
+test("fails the build only in strict mode", async () => {
+  const doc = fixture("validate");
+  doc.meta.validation = {
+    t: "MetaMap",
+    c: { linkDefinitions: { t: "MetaString", c: linksFile } },
+  };
+
+  const actual = await runFilters([validate.createFilter()], doc, "json");
+  assert.deepStrictEqual(actual, doc);
+
+  doc.meta.strictValidation = { t: "MetaBool", c: true };
+
+  await assert.rejects(runFilters([validate.createFilter()], doc, "json"), {
+    message: "Validation failed with 4 problems.",
+  });
+});
+
+test("checks the links the other filters add", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const doc = fixture("validate");
+  doc.meta.strictValidation = { t: "MetaBool", c: true };
+
+  await assert.rejects(runFilters(targets.validate(), doc, "json"), {
+    message: "Validation failed with 4 problems.",
+  });
+
+  assert.strictEqual(
+    error.mock.calls[3].arguments[0],
+    'Solution after "Monads" has no exercise heading.'
+  );
+});
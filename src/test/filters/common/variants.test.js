@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { fixture } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const variants = require("../../../filters/common/variants");
+
+// pandoc -> Promise(arrayOf(Variants))
+//
+// The variants the renderer receives:
+async function parseVariants(doc) {
+  const parsed = [];
+
+  const filter = variants.createFilter((found) => {
+    parsed.push(found);
+    return [];
+  });
+
+  await runFilters([filter], doc, "json");
+  return parsed;
+}
+
+// string -> meta
+function showMeta(show) {
+  return {
+    variants: {
+      t: "MetaMap",
+      c: { show: { t: "MetaString", c: show } },
+    },
+  };
+}
+
+test("labels variants and gives them their language", async () => {
+  const [found] = await parseVariants(fixture("variants"));
+
+  assert.deepStrictEqual(
+    found.variants.map((variant) => [variant.name, variant.label]),
+    [
+      ["scala2", "Scala 2"],
+      ["scala3", "Scala 3 (given)"],
+    ]
+  );
+  assert.deepStrictEqual(
+    found.variants.map((variant) => variant.block.c[0]),
+    [
+      ["", ["scala"], []],
+      ["", ["scala"], []],
+    ]
+  );
+});
+
+test("chooses the variants to print", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const [found] = await parseVariants(fixture("variants"));
+  const names = (meta) =>
+    variants.chosen(found, meta).map((variant) => variant.name);
+
+  assert.deepStrictEqual(names({}), ["scala2", "scala3"]);
+  assert.deepStrictEqual(names(showMeta("all")), ["scala2", "scala3"]);
+  assert.deepStrictEqual(names(showMeta("scala3")), ["scala3"]);
+  assert.deepStrictEqual(names(showMeta("dotty")), ["scala2", "scala3"]);
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    ['Variants "" have no "dotty" variant.']
+  );
+});
@@ -0,0 +1,150 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runFilters } = require("../../../filters/pipeline");
+const images = require("../../../filters/common/vector-images");
+
+function imageDoc(filename, kvs = [], meta = {}) {
+  return {
+    "pandoc-api-version": [1, 23, 1],
+    meta,
+    blocks: [
+      {
+        t: "Para",
+        c: [{ t: "Image", c: [["", [], kvs], [], [filename, ""]] }],
+      },
+    ],
+  };
+}
+
+// arrayOf(string) -> string
+//
+// A temporary directory of (empty) image files:
+function imageDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), "");
+  }
+
+  return dir;
+}
+
+test("picks the best variant for each target", async () => {
+  const filename = "src/pages/monads/option-flatmap.pdf+svg";
+
+  for (const [target, format, ext] of [
+    ["pdf", "latex", "pdf"],
+    ["html", "html5", "svg"],
+    ["epub", "epub3", "svg"],
+  ]) {
+    const actual = await runFilters(
+      [images.createFilter(target)],
+      imageDoc(filename),
+      format
+    );
+
+    assert.deepStrictEqual(
+      actual,
+      imageDoc(`src/pages/monads/option-flatmap.${ext}`)
+    );
+  }
+});
+
+test("uses a picture element for SVGs with a PNG fallback", async () => {
+  const dir = imageDir(["chart.svg", "chart.png", "chart@2x.png"]);
+
+  const actual = await runFilters(
+    [images.createFilter("html")],
+    imageDoc(`${dir}/chart.svg+png`, [["width", "50%"]]),
+    "html5"
+  );
+
+  assert.deepStrictEqual(actual.blocks[0].c[0], {
+    t: "RawInline",
+    c: [
+      "html",
+      `<picture>` +
+        `<source srcset="${dir}/chart.svg" type="image/svg+xml" />` +
+        `<img src="${dir}/chart.png"` +
+        ` srcset="${dir}/chart.png 1x, ${dir}/chart@2x.png 2x"` +
+        ` alt="" style="width:50%" />` +
+        `</picture>`,
+    ],
+  });
+});
+
+test("uses an object element with a PNG fallback in the ePub", async () => {
+  const dir = imageDir(["chart.svg"]);
+  const rasterDir = path.join(dir, "raster");
+
+  // The raster directory mirrors the paths of the SVGs:
+  const png = path.join(rasterDir, dir, "chart.png");
+  fs.mkdirSync(path.dirname(png), { recursive: true });
+  fs.writeFileSync(png, "");
+
+  const meta = {
+    images: {
+      t: "MetaMap",
+      c: { rasterDir: { t: "MetaString", c: rasterDir } },
+    },
+  };
+
+  const actual = await runFilters(
+    [images.createFilter("epub")],
+    imageDoc(`${dir}/chart.svg+pdf`, [["alt", "A chart"]], meta),
+    "epub3"
+  );
+
+  assert.deepStrictEqual(actual.blocks[0].c[0], {
+    t: "RawInline",
+    c: [
+      "html",
+      `<object data="${dir}/chart.svg" type="image/svg+xml"` +
+        ` role="img" aria-label="A chart">` +
+        `<img src="${png}" alt="A chart" />` +
+        `</object>`,
+    ],
+  });
+});
+
+test("warns about missing images", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const dir = imageDir(["chart.svg"]);
+
+  const actual = await runFilters(
+    [images.createFilter("pdf")],
+    imageDoc(`${dir}/chart.pdf+svg`),
+    "latex"
+  );
+
+  assert.deepStrictEqual(actual, imageDoc(`${dir}/chart.svg`));
+
+  await runFilters(
+    [images.createFilter("pdf")],
+    imageDoc("src/pages/missing.png"),
+    "latex"
+  );
+
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    [
+      `Missing image variant "${dir}/chart.pdf".`,
+      'Missing image "src/pages/missing.png".',
+    ]
+  );
+});
+
+test("leaves other images alone", async () => {
+  const actual = await runFilters(
+    [images.createFilter("html")],
+    imageDoc("src/pages/parts/part1.png"),
+    "html5"
+  );
+
+  assert.deepStrictEqual(actual, imageDoc("src/pages/parts/part1.png"));
+});
@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { fixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const worksheets = require("../../../filters/common/worksheets");
+
+// string -> object
+//
+// The contents of every file under a directory, keyed by relative path:
+function filesIn(dir) {
+  const ans = {};
+
+  for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      for (let [name, text] of Object.entries(filesIn(file))) {
+        ans[path.join(entry.name, name)] = text;
+      }
+    } else {
+      ans[entry.name] = fs.readFileSync(file, "utf8");
+    }
+  }
+
+  return ans;
+}
+
+test("exports mdoc code as worksheets, split at resets", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worksheets-"));
+
+  const doc = fixture("worksheets");
+  doc.meta.worksheetsDir = { t: "MetaString", c: dir };
+
+  try {
+    await runFilters([worksheets.createFilter()], doc, "json");
+    assertGolden(filesIn(dir), "worksheets.files");
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("replaces old worksheets and keeps other files", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worksheets-"));
+  const stale = path.join(dir, "99-deleted", "01-deleted.worksheet.sc");
+  const other = path.join(dir, "build.sbt");
+
+  fs.mkdirSync(path.dirname(stale));
+  fs.writeFileSync(stale, "val old = 1\n");
+  fs.writeFileSync(other, "// sbt build\n");
+
+  const doc = fixture("worksheets");
+  doc.meta.worksheetsDir = { t: "MetaString", c: dir };
+
+  try {
+    await runFilters([worksheets.createFilter()], doc, "json");
+
+    assert.ok(!fs.existsSync(path.dirname(stale)));
+    assert.strictEqual(fs.readFileSync(other, "utf8"), "// sbt build\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("does nothing unless worksheetsDir is set", async () => {
+  const doc = fixture("worksheets");
+  const actual = await runFilters([worksheets.createFilter()], doc, "json");
+
+  assert.deepStrictEqual(actual, fixture("worksheets"));
+});
+
+test("names solutions after exercises in any alphabet", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worksheets-"));
+
+  const doc = fixture("worksheets");
+  doc.meta.worksheetsDir = { t: "MetaString", c: dir };
+
+  const exercise = doc.blocks.find(
+    (block) => block.t === "Header" && block.c[0] === 3
+  );
+  exercise.c[2] = [
+    { t: "Str", c: "Exercise:" },
+    { t: "Space" },
+    { t: "Str", c: "Zähle" },
+    { t: "Space" },
+    { t: "Str", c: "mit" },
+  ];
+
+  try {
+    await runFilters([worksheets.createFilter()], doc, "json");
+
+    assert.ok(
+      fs.existsSync(
+        path.join(dir, "solutions/01-monads/01-zähle-mit.worksheet.sc")
+      )
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const callout = require("../../../filters/epub/callout");
+
+test("renders titled callouts and asides", async () => {
+  const actual = await filterFixture(
+    "callout",
+    [callout.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "callout.epub");
+});
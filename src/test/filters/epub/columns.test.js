@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const columns = require("../../../filters/epub/columns");
+
+test("renders rows as sequential columns", async () => {
+  const actual = await filterFixture(
+    "columns",
+    [columns.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "columns.epub");
+});
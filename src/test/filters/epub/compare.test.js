@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const compare = require("../../../filters/epub/compare");
+
+test("renders labelled code blocks one after another", async () => {
+  const actual = await filterFixture(
+    "compare",
+    [compare.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "compare.epub");
+});
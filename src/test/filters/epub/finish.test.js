@@ -0,0 +1,17 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { epubFixture } = require("../harness");
+const finish = require("../../../filters/epub/finish");
+
+test("keeps the mimetype first and uncompressed", async () => {
+  const zip = await finish.finish(epubFixture(["<body></body>"]));
+  const data = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+
+  // The first local file header: the compression method, then the name:
+  assert.strictEqual(data.readUInt16LE(8), 0);
+  assert.strictEqual(data.toString("utf8", 30, 38), "mimetype");
+});
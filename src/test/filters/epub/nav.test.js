@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { epubFixture } = require("../harness");
+const nav = require("../../../filters/epub/nav");
+
+// string -> string
+function pageBreak(page) {
+  return (
+    `<span id="page-${page}" epub:type="pagebreak" role="doc-pagebreak"` +
+    ` aria-label="${page}"></span>`
+  );
+}
+
+function epub() {
+  return epubFixture([
+    `<body epub:type="bodymatter">
+<section id="monads" class="level1" epub:type="chapter">
+<h1><span class="header-section-number">1</span> Monads</h1>
+${pageBreak(1)}
+<p>Text.</p>
+${pageBreak(2)}
+</section>
+</body>`,
+    `<body epub:type="backmatter">
+<section id="solutions" class="level1" epub:type="appendix">
+<h1>Solutions to Exercises</h1>
+${pageBreak(3)}
+</section>
+</body>`,
+  ]);
+}
+
+test("lists the page breaks in a page list", async () => {
+  const zip = await nav.addNavigation(epub());
+  const actual = await zip.file("EPUB/nav.xhtml").async("string");
+
+  assert.match(
+    actual,
+    new RegExp(
+      [
+        '<nav epub:type="page-list" id="page-list" hidden="hidden">',
+        "<h1>Pages</h1>",
+        "<ol>",
+        '<li><a href="text/ch001.xhtml#page-1">1</a></li>',
+        '<li><a href="text/ch001.xhtml#page-2">2</a></li>',
+        '<li><a href="text/ch002.xhtml#page-3">3</a></li>',
+        "</ol>",
+        "</nav>",
+      ].join("\n")
+    )
+  );
+});
+
+test("adds the body and back matter to the landmarks", async () => {
+  const zip = await nav.addNavigation(epub());
+  const actual = await zip.file("EPUB/nav.xhtml").async("string");
+  const landmarks = /<nav epub:type="landmarks"[\s\S]*?<\/nav>/.exec(actual);
+
+  assert.strictEqual(
+    landmarks[0],
+    [
+      '<nav epub:type="landmarks" id="landmarks" hidden="hidden">',
+      "<ol>",
+      '<li><a href="#toc" epub:type="toc">Table of Contents</a></li>',
+      '<li><a href="text/ch001.xhtml" epub:type="bodymatter">1 Monads</a></li>',
+      '<li><a href="text/ch002.xhtml#solutions" epub:type="appendix">' +
+        "Solutions to Exercises</a></li>",
+      "</ol>",
+      "</nav>",
+    ].join("\n")
+  );
+});
+
+test("can run twice without repeating itself", async () => {
+  const once = await nav.addNavigation(epub());
+  const twice = await nav.addNavigation(once);
+  const actual = await twice.file("EPUB/nav.xhtml").async("string");
+
+  assert.strictEqual(actual.match(/epub:type="page-list"/g).length, 1);
+  assert.strictEqual(actual.match(/epub:type="appendix"/g).length, 1);
+});
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { epubFixture } = require("../harness");
+const objects = require("../../../filters/epub/objects");
+
+// An image with a PNG fallback, as common/vector-images.js writes it
+// and pandoc embeds it:
+const chart =
+  `<object data="images/chart.svg" type="image/svg+xml"` +
+  ` role="img" aria-label="A chart">` +
+  `<img src="../media/file0.png" alt="A chart" />` +
+  `</object>`;
+
+// A base directory with the SVG:
+function baseDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "objects-"));
+  fs.mkdirSync(path.join(dir, "images"));
+  fs.writeFileSync(path.join(dir, "images/chart.svg"), "<svg/>");
+  return dir;
+}
+
+test("embeds the SVGs of objects next to their fallbacks", async () => {
+  const zip = epubFixture([`<body><p>${chart}</p><p>${chart}</p></body>`]);
+  zip.file("EPUB/media/file0.png", "PNG");
+
+  await objects.embedObjects(zip, baseDir());
+
+  const html = await zip.file("EPUB/text/ch001.xhtml").async("string");
+  const opf = await zip.file("EPUB/content.opf").async("string");
+
+  assert.strictEqual(
+    html.match(/<object data="..\/media\/object1.svg"/g).length,
+    2
+  );
+  assert.match(html, /<img src="..\/media\/file0.png" alt="A chart" \/>/);
+  assert.strictEqual(
+    await zip.file("EPUB/media/object1.svg").async("string"),
+    "<svg/>"
+  );
+  assert.ok(zip.file("EPUB/media/file0.png") != null);
+  assert.ok(
+    opf.includes(
+      '<item id="object1" href="media/object1.svg"' +
+        ' media-type="image/svg+xml" />\n</manifest>'
+    )
+  );
+});
+
+test("leaves embedded objects alone", async () => {
+  const zip = epubFixture([`<body><p>${chart}</p></body>`]);
+  const dir = baseDir();
+
+  await objects.embedObjects(zip, dir);
+  const once = await zip.file("EPUB/text/ch001.xhtml").async("string");
+
+  await objects.embedObjects(zip, dir);
+  const twice = await zip.file("EPUB/text/ch001.xhtml").async("string");
+
+  assert.strictEqual(twice, once);
+  assert.strictEqual(zip.file(/object2/).length, 0);
+});
+
+test("warns about missing SVGs", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const zip = epubFixture([`<body><p>${chart}</p></body>`]);
+
+  await objects.embedObjects(zip, os.tmpdir());
+
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    ['Missing object data "images/chart.svg".']
+  );
+});
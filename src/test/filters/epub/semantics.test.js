@@ -0,0 +1,196 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { XMLValidator } = require("fast-xml-parser");
+const JSZip = require("jszip");
+const pandoc = require("pandoc-filter");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const semantics = require("../../../filters/epub/semantics");
+const solutions = require("../../../filters/common/solutions");
+
+test("marks solutions as footnotes with noterefs and backlinks", async () => {
+  const actual = await filterFixture(
+    "solutions",
+    [solutions.createFilter(), semantics.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "solutions.semantics");
+});
+
+test("describes figures by their captions", async () => {
+  const actual = await filterFixture(
+    "figures",
+    [semantics.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "figures.epub");
+});
+
+test("gives images with no alt text their caption", async () => {
+  const doc = fixture("figures");
+  const [image] = doc.blocks[0].c[2][0].c;
+  image.c[1] = [];
+
+  const actual = await runFilters([semantics.createFilter()], doc, "epub3");
+  const figure = actual.blocks.find((block) => block.t === "Figure");
+
+  assert.deepStrictEqual(
+    figure.c[2][0].c[0].c[1],
+    doc.blocks[0].c[1][1][0].c
+  );
+});
+
+test("wraps notes nested in other blocks", async () => {
+  const link = (classes, target) =>
+    pandoc.Link(["", classes, []], [pandoc.Str("Link")], [target, ""]);
+
+  const doc = {
+    "pandoc-api-version": [1, 23, 1],
+    meta: {},
+    blocks: [
+      pandoc.Para([link(["solution-link"], "#solution")]),
+      pandoc.Div(
+        ["", ["callout"], []],
+        [
+          pandoc.Header(2, ["solution", [], []], [pandoc.Str("Solution")]),
+          pandoc.Para([pandoc.Str("Answer.")]),
+          pandoc.Para([link(["exercise-link"], "#exercise")]),
+        ]
+      ),
+    ],
+  };
+
+  const actual = await runFilters([semantics.createFilter()], doc, "epub3");
+  const callout = actual.blocks.find((block) => block.t === "Div");
+  const [open, title, , , close] = callout.c[1];
+
+  assert.deepStrictEqual(
+    open,
+    pandoc.RawBlock(
+      "html",
+      '<aside id="solution" epub:type="footnote" role="doc-footnote">'
+    )
+  );
+  assert.deepStrictEqual(
+    title,
+    pandoc.Para([pandoc.Strong([pandoc.Str("Solution")])])
+  );
+  assert.deepStrictEqual(close, pandoc.RawBlock("html", "</aside>"));
+});
+
+test("breaks pages between blocks but not before chapters", async () => {
+  const words = (count) =>
+    pandoc.Para(
+      Array(count)
+        .fill(null)
+        .flatMap(() => [pandoc.Str("word"), pandoc.Space()])
+    );
+
+  const doc = {
+    "pandoc-api-version": [1, 23, 1],
+    meta: {},
+    blocks: [
+      pandoc.Header(1, ["one", [], []], [pandoc.Str("One")]),
+      words(200),
+      words(200),
+      pandoc.Header(1, ["two", [], []], [pandoc.Str("Two")]),
+      words(10),
+    ],
+  };
+
+  const actual = await runFilters([semantics.createFilter()], doc, "epub3");
+
+  assert.deepStrictEqual(
+    actual.blocks.map((block) =>
+      block.t === "RawBlock"
+        ? /aria-label="(\d+)"/.exec(block.c[1])[1]
+        : block.t
+    ),
+    ["Header", "1", "Para", "Para", "Header", "2", "Para"]
+  );
+});
+
+// arrayOf(node) -> arrayOf(node)
+//
+// The blocks between each pair of aside tags:
+function noteBlocks(blocks) {
+  const ans = [];
+  let depth = 0;
+
+  for (const block of blocks) {
+    if (block.t === "RawBlock" && block.c[1].startsWith("<aside")) {
+      depth++;
+    } else if (block.t === "RawBlock" && block.c[1] === "</aside>") {
+      depth--;
+    } else if (depth > 0) {
+      ans.push(block);
+    }
+  }
+
+  return ans;
+}
+
+test("keeps headings out of the notes", async () => {
+  const actual = await filterFixture(
+    "solutions",
+    [solutions.createFilter(), semantics.createFilter()],
+    "epub3"
+  );
+
+  const notes = noteBlocks(actual.blocks);
+  const headers = [];
+
+  pandoc.walkSync(
+    notes,
+    (node) => {
+      if (node.t === "Header") {
+        headers.push(node);
+      }
+    },
+    "",
+    {}
+  );
+
+  assert.ok(notes.length > 0);
+  assert.deepStrictEqual(headers, []);
+});
+
+// Pandoc's EPUB writer adds the <section> elements the notes have to fit in,
+// so this test only runs where pandoc is installed:
+const hasPandoc = childProcess.spawnSync("pandoc", ["--version"]).error == null;
+
+test(
+  "writes well-formed XHTML around the notes",
+  { skip: !hasPandoc && "pandoc isn't installed" },
+  async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "semantics-"));
+    const output = path.join(dir, "solutions.epub");
+    const doc = await filterFixture(
+      "solutions",
+      [solutions.createFilter(), semantics.createFilter()],
+      "epub3"
+    );
+
+    const result = childProcess.spawnSync(
+      "pandoc",
+      ["--from=json", "--to=epub3", "--section-divs", `--output=${output}`],
+      { input: JSON.stringify(doc) }
+    );
+
+    assert.strictEqual(result.status, 0, result.stderr.toString());
+
+    const zip = await JSZip.loadAsync(fs.readFileSync(output));
+
+    for (const file of zip.file(/[.]xhtml$/)) {
+      const xhtml = await file.async("string");
+      assert.strictEqual(XMLValidator.validate(xhtml), true, file.name);
+    }
+  }
+);
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const tables = require("../../../filters/epub/tables");
+
+test("labels the cells of wide tables for narrow screens", async () => {
+  const actual = await filterFixture(
+    "tables",
+    [tables.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "tables.epub");
+});
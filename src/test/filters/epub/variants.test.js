@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const variants = require("../../../filters/epub/variants");
+
+test("renders every variant under its label by default", async () => {
+  const actual = await filterFixture(
+    "variants",
+    [variants.createFilter()],
+    "epub3"
+  );
+
+  assertGolden(actual, "variants.epub");
+});
@@ -0,0 +1,101 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+
+const { runFilters } = require("../../filters/pipeline");
+
+/*
+Golden-file tests for the filters in `src/filters`.
+
+Each fixture in `fixtures/` comes in several parts:
+
+- `name.md` is the Markdown source;
+
+- `name.json` is the AST Pandoc parses from the source,
+  using the same reader options as `project/Pandoc.scala`:
+
+      pandoc --from=markdown+grid_tables+multiline_tables+fenced_code_blocks+fenced_code_attributes+yaml_metadata_block+implicit_figures+header_attributes+definition_lists+link_attributes \
+        --to=json name.md | jq . > name.json
+
+- `name.variant.expected.json` is the AST we expect
+  after running one or more filters over `name.json`.
+
+After an intentional change to a filter,
+run `UPDATE_GOLDEN=1 npm test` to rewrite the expected files
+and review the diff before committing.
+*/
+
+const fixturesDir = path.join(__dirname, "fixtures");
+
+// string -> pandoc
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`)));
+}
+
+// string arrayOf(filter) string -> Promise(pandoc)
+function filterFixture(name, filters, format) {
+  return runFilters(filters, fixture(name), format);
+}
+
+// pandoc string -> undefined
+function assertGolden(actual, name) {
+  const file = path.join(fixturesDir, `${name}.expected.json`);
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, JSON.stringify(actual, null, 2) + "\n");
+  } else {
+    assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(file)));
+  }
+}
+
+// arrayOf(string) -> JSZip
+//
+// The parts of an ePub that pandoc writes and epub/finish.js reads,
+// with the given bodies as its chapters:
+function epubFixture(chapters) {
+  const zip = new JSZip();
+  const ids = chapters.map((body, index) => `ch00${index + 1}`);
+
+  zip.file("mimetype", "application/epub+zip");
+  zip.file(
+    "META-INF/container.xml",
+    `<container><rootfiles>
+<rootfile full-path="EPUB/content.opf" />
+</rootfiles></container>`
+  );
+  zip.file(
+    "EPUB/content.opf",
+    `<package><metadata><dc:language>en-GB</dc:language></metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" properties="nav" />
+${ids.map((id) => `<item id="${id}" href="text/${id}.xhtml" />`).join("\n")}
+</manifest>
+<spine>${ids.map((id) => `<itemref idref="${id}" />`).join("")}</spine>
+</package>`
+  );
+  zip.file(
+    "EPUB/nav.xhtml",
+    `<html><body>
+<nav epub:type="toc" id="toc"><ol></ol></nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+<ol>
+<li><a href="#toc" epub:type="toc">Table of Contents</a></li>
+</ol>
+</nav>
+</body></html>`
+  );
+
+  chapters.forEach((body, index) =>
+    zip.file(`EPUB/text/${ids[index]}.xhtml`, `<html>${body}</html>`)
+  );
+
+  return zip;
+}
+
+module.exports = {
+  fixture,
+  filterFixture,
+  assertGolden,
+  epubFixture,
+};
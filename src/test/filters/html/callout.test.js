@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const callout = require("../../../filters/html/callout");
+
+test("renders titled callouts and asides", async () => {
+  const actual = await filterFixture(
+    "callout",
+    [callout.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "callout.html");
+});
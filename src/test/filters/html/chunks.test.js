@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { fixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const chunks = require("../../../filters/html/chunks");
+const searchIndex = require("../../../filters/html/search-index");
+
+test("splits chapters into pages and rewrites links between them", () => {
+  const actual = chunks.createChunks(fixture("chunks"));
+
+  assert.deepStrictEqual(
+    actual.map((chunk) => [chunk.name, chunk.numberOffset]),
+    [
+      ["index", 0],
+      ["01-preface", 0],
+      ["02-monads", 0],
+      ["03-functors", 1],
+    ]
+  );
+
+  assertGolden(actual, "chunks.pages");
+});
+
+test("indexes every page for search", () => {
+  const index = chunks.createSearchIndex(
+    chunks.createChunks(fixture("chunks"))
+  );
+
+  assert.ok(index.length > 0);
+
+  for (const entry of index) {
+    assert.ok(/^\d\d-[a-z-]+[.]html$|^index[.]html$/.test(entry.page));
+    assert.ok(!entry.text.includes("Contents"));
+  }
+});
+
+test("writes a document and a defaults file for every page", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chunks-"));
+
+  const doc = fixture("chunks");
+  doc.meta.chunksDir = { t: "MetaString", c: dir };
+
+  try {
+    const actual = await runFilters([chunks.createFilter()], doc, "html5");
+    assert.deepStrictEqual(actual, doc);
+
+    const defaults = JSON.parse(
+      fs.readFileSync(path.join(dir, "03-functors.yaml"))
+    );
+    assert.deepStrictEqual(defaults, {
+      from: "json",
+      "input-files": [path.join(dir, "03-functors.json")],
+      "output-file": path.join(dir, "03-functors.html"),
+      "number-offset": [1],
+    });
+
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(path.join(dir, "03-functors.json"))),
+      chunks.createChunks(doc)[3].doc
+    );
+
+    const index = chunks.createSearchIndex(chunks.createChunks(doc));
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, "search-index.js"), "utf8"),
+      searchIndex.indexScript(index)
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const codeBlocks = require("../../../filters/html/code-blocks");
+
+test("splits highlighted lines and links callouts to their list", async () => {
+  const actual = await filterFixture(
+    "code-blocks",
+    [codeBlocks.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "code-blocks.html");
+});
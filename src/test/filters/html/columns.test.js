@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const columns = require("../../../filters/html/columns");
+
+test("renders rows as grid columns", async () => {
+  const actual = await filterFixture(
+    "columns",
+    [columns.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "columns.html");
+});
@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const pandoc = require("pandoc-filter");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const compare = require("../../../filters/html/compare");
+
+test("renders labelled code blocks as tab panels", async () => {
+  const actual = await filterFixture(
+    "compare",
+    [compare.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "compare.html");
+});
+
+test("warns about comparisons without enough code blocks", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const doc = fixture("compare");
+  const [first] = doc.blocks[0].c[1];
+  doc.blocks[0].c[1] = [pandoc.Para([pandoc.Str("Hi")]), first];
+
+  await runFilters([compare.createFilter()], doc, "html5");
+
+  assert.deepStrictEqual(
+    error.mock.calls.map((call) => call.arguments[0]),
+    [
+      `Comparison "flatmaps" contains blocks that aren't code. Ignoring them.`,
+      `Comparison "flatmaps" needs at least two code blocks.`,
+    ]
+  );
+});
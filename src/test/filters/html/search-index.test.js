@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { fixture, filterFixture } = require("../harness");
+const searchIndex = require("../../../filters/html/search-index");
+
+test("indexes each anchored section with its text and code", () => {
+  const index = searchIndex.createIndex(fixture("solutions"));
+
+  assert.deepStrictEqual(
+    index.map((entry) => entry.id),
+    [
+      "sec:monads",
+      "writer-monad",
+      "exercise-show-your-working",
+      "exercise-two-parts",
+      "sec:functors",
+      "no-exercises-here",
+      "appendix",
+    ]
+  );
+
+  const exercise = index[2];
+  assert.strictEqual(exercise.title, "Exercise: Show Your Working");
+  assert.strictEqual(exercise.level, 3);
+  assert.match(exercise.text, /^Rewrite factorial\./);
+  assert.ok(exercise.code.includes("factorial"));
+  assert.ok(exercise.code.includes("Writer"));
+});
+
+test("embeds the index at the end of the document", async () => {
+  const actual = await filterFixture(
+    "solutions",
+    [searchIndex.createFilter()],
+    "html5"
+  );
+
+  const last = actual.blocks[actual.blocks.length - 1];
+  assert.strictEqual(last.t, "RawBlock");
+  assert.strictEqual(last.c[0], "html");
+
+  const [unused, json] = last.c[1].match(
+    /^<script type="application\/json" id="search-index">(.*)<\/script>$/
+  );
+  assert.deepStrictEqual(
+    JSON.parse(json),
+    searchIndex.createIndex(fixture("solutions"))
+  );
+});
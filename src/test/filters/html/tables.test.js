@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const tables = require("../../../filters/html/tables");
+
+test("wraps tables in responsive divs", async () => {
+  const actual = await filterFixture(
+    "tables",
+    [tables.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "tables.html");
+});
@@ -0,0 +1,15 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const unwrap = require("../../../filters/common/unwrap-code");
+const variants = require("../../../filters/html/variants");
+
+test("renders unwrapped variants as tabs", async () => {
+  const actual = await filterFixture(
+    "variants",
+    [unwrap.createFilter(), variants.createFilter()],
+    "html5"
+  );
+
+  assertGolden(actual, "variants.html");
+});
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const callout = require("../../../filters/pdf/callout");
+
+test("wraps callouts and asides in LaTeX environments", async () => {
+  const actual = await filterFixture(
+    "callout",
+    [callout.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "callout.pdf");
+});
+
+test("uses greyscale environments in print books", async () => {
+  const doc = fixture("callout");
+  doc.meta.blackandwhiteprintable = { t: "MetaBool", c: true };
+
+  const actual = await runFilters([callout.createFilter()], doc, "latex");
+
+  assertGolden(actual, "callout.print");
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const columns = require("../../../filters/pdf/columns");
+
+test("wraps rows in multicols environments", async () => {
+  const actual = await filterFixture(
+    "columns",
+    [columns.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "columns.pdf");
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const compare = require("../../../filters/pdf/compare");
+
+test("renders labelled code blocks in columns", async () => {
+  const actual = await filterFixture(
+    "compare",
+    [compare.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "compare.pdf");
+});
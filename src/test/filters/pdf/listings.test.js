@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const listings = require("../../../filters/pdf/listings");
+
+test("renders Scala code blocks as lstlisting environments", async () => {
+  const actual = await filterFixture(
+    "listings",
+    [listings.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "listings.pdf");
+});
+
+test("renders highlights, callouts, and captions as options", async () => {
+  const actual = await filterFixture(
+    "code-blocks",
+    [listings.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "code-blocks.pdf");
+});
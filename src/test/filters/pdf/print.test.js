@@ -0,0 +1,20 @@
+const { test } = require("node:test");
+
+const { fixture, filterFixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const print = require("../../../filters/pdf/print");
+
+test("turns external links into footnotes in print books", async () => {
+  const doc = fixture("print");
+  doc.meta.blackandwhiteprintable = { t: "MetaBool", c: true };
+
+  const actual = await runFilters([print.createFilter()], doc, "latex");
+
+  assertGolden(actual, "print.pdf");
+});
+
+test("leaves links alone in other builds", async () => {
+  const actual = await filterFixture("print", [print.createFilter()], "latex");
+
+  assertGolden(actual, "print");
+});
@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+
+const { filterFixture, assertGolden } = require("../harness");
+const tables = require("../../../filters/pdf/tables");
+
+test("sets tables in a smaller size", async () => {
+  const actual = await filterFixture(
+    "tables",
+    [tables.createFilter()],
+    "latex"
+  );
+
+  assertGolden(actual, "tables.pdf");
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+
+const { fixture, assertGolden } = require("../harness");
+const { runFilters } = require("../../../filters/pipeline");
+const unwrap = require("../../../filters/common/unwrap-code");
+const listings = require("../../../filters/pdf/listings");
+const variants = require("../../../filters/pdf/variants");
+
+test("prints the chosen variant as a listing", async () => {
+  const doc = fixture("variants");
+  doc.meta = {
+    variants: {
+      t: "MetaMap",
+      c: { show: { t: "MetaString", c: "scala2" } },
+    },
+  };
+
+  const actual = await runFilters(
+    [unwrap.createFilter(), variants.createFilter(), listings.createFilter()],
+    doc,
+    "latex"
+  );
+
+  assertGolden(actual, "variants.pdf");
+});
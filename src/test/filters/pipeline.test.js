@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("assert");
+
+const { filterFixture, assertGolden } = require("./harness");
+const { targets, targetFor } = require("../../filters/pipeline");
+
+test("maps pandoc output formats onto targets", () => {
+  assert.strictEqual(targetFor("latex"), "pdf");
+  assert.strictEqual(targetFor("json"), "pdf");
+  assert.strictEqual(targetFor("html5"), "html");
+  assert.strictEqual(targetFor("epub3"), "epub");
+  assert.strictEqual(targetFor("docx"), undefined);
+});
+
+test("lets the metadata name the pipeline", () => {
+  const meta = { pipeline: { t: "MetaString", c: "worksheets" } };
+
+  assert.strictEqual(targetFor("json", meta), "worksheets");
+  assert.strictEqual(targetFor("json", {}), "pdf");
+});
+
+for (const [target, format] of [
+  ["pdf", "latex"],
+  ["html", "html5"],
+  ["epub", "epub3"],
+]) {
+  test(`runs the ${target} pipeline over a chapter with exercises`, async () => {
+    const actual = await filterFixture("solutions", targets[target](), format);
+    assertGolden(actual, `solutions.${target}`);
+  });
+}